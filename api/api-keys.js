@@ -0,0 +1,187 @@
+// api/api-keys.js - Manage the signed-in user's personal API keys
+//
+//   GET  /api/api-keys                        keys with last use and usage this month
+//   POST { action: 'create', label }          returns the key, the only time it is shown
+//   POST { action: 'rename', keyId, label }
+//   POST { action: 'revoke', keyId }
+// The keys authenticate /api/v1/chat/completions; see lib/api-keys.js.
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { generateApiKey } from '../lib/api-keys.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_KEYS = 20;
+const MAX_LABEL_LENGTH = 100;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (req.method === 'GET') {
+      return await listKeys(res, user);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'create':
+        return await createKey(res, user, data);
+      case 'rename':
+        return await renameKey(res, user, data);
+      case 'revoke':
+        return await revokeKey(res, user, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('API Keys API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+function readLabel(label) {
+  return String(label || '').trim().slice(0, MAX_LABEL_LENGTH) || null;
+}
+
+async function loadOwnKey(userId, keyId) {
+  if (!keyId) return null;
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id')
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .eq('revoked', false)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listKeys(res, user) {
+  const { data: keys, error } = await supabase
+    .from('api_keys')
+    .select('id, label, key_prefix, last_used_at, created_at')
+    .eq('user_id', user.id)
+    .eq('revoked', false)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const now = new Date();
+  const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+  const keyIds = (keys || []).map(key => key.id);
+  let usage = [];
+
+  if (keyIds.length > 0) {
+    const { data, error: usageError } = await supabase
+      .from('chat_usage')
+      .select('api_key_id, total_tokens')
+      .in('api_key_id', keyIds)
+      .gte('created_at', startOfMonth);
+
+    if (usageError) throw usageError;
+    usage = data || [];
+  }
+
+  return res.json({
+    keys: (keys || []).map(key => {
+      const rows = usage.filter(row => row.api_key_id === key.id);
+      return {
+        id: key.id,
+        label: key.label || '',
+        prefix: key.key_prefix,
+        lastUsed: key.last_used_at || null,
+        requestsThisMonth: rows.length,
+        tokensThisMonth: rows.reduce((sum, row) => sum + (row.total_tokens || 0), 0),
+        created: key.created_at
+      };
+    })
+  });
+}
+
+async function createKey(res, user, { label }) {
+  const { count, error: countError } = await supabase
+    .from('api_keys')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .eq('revoked', false);
+
+  if (countError) throw countError;
+
+  if (count >= MAX_KEYS) {
+    return res.status(400).json({ error: `You can have at most ${MAX_KEYS} API keys; revoke one first` });
+  }
+
+  const { key, keyPrefix, keyHash } = generateApiKey();
+
+  const { data: row, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: user.id,
+      label: readLabel(label),
+      key_prefix: keyPrefix,
+      key_hash: keyHash,
+      revoked: false,
+      created_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return res.json({ id: row.id, key, prefix: keyPrefix });
+}
+
+async function renameKey(res, user, { keyId, label }) {
+  const key = await loadOwnKey(user.id, keyId);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  const { error } = await supabase
+    .from('api_keys')
+    .update({ label: readLabel(label) })
+    .eq('id', key.id);
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
+
+// Revoked keys stop working at once; the row stays for the usage history
+async function revokeKey(res, user, { keyId }) {
+  const key = await loadOwnKey(user.id, keyId);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  const { error } = await supabase
+    .from('api_keys')
+    .update({ revoked: true })
+    .eq('id', key.id);
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
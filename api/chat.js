@@ -1,13 +1,46 @@
 // api/chat.js - Secure Vercel Serverless Function
+import { createClient } from '@supabase/supabase-js';
+import { startSSE, writeSSE } from '../lib/sse.js';
+import { sanitizeHistory, trimHistory } from '../lib/history.js';
+import { getUserFromRequest, authorizeGPTAccess } from '../lib/auth.js';
+import { resolvePlan, checkQuota, finishMeter } from '../lib/usage.js';
+import { checkRateLimit, getClientIp, RATE_LIMITS } from '../lib/rate-limit.js';
+import { runCompletion } from '../lib/completion.js';
+import { configuredProviders, modelSettings, visionModelChain } from '../lib/providers.js';
+import { describeToolCall } from '../lib/tools.js';
+import { servedGPTData } from '../lib/versions.js';
+import { buildCompletion } from '../lib/prompt.js';
+import { applyCors } from '../lib/cors.js';
+import { findShare, authorizeShare, checkShareLimits } from '../lib/shares.js';
+import { checkHistory, checkOutput, refusalMessage, logGuardrailEvent } from '../lib/guardrails.js';
+import { checkImages, hasImages, limitHistoryImages } from '../lib/images.js';
+import { outputSchema, runStructuredCompletion } from '../lib/structured-output.js';
+
+// Messages may carry downscaled images as data URLs
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '4mb' }
+  }
+};
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
 export default async function handler(req, res) {
-  // Set CORS headers for cross-origin requests
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
+  // Set CORS headers for cross-origin requests. Embeds call
+  // /api/chat?share=<token> so the preflight can allow the share's origins.
+  const shareToken = req.query?.share || req.body?.shareToken || null;
+  let shareOrigins = [];
+  if (shareToken) {
+    try {
+      shareOrigins = (await findShare(supabase, shareToken))?.allowed_origins || [];
+    } catch (error) {
+      console.error('Error loading share for CORS:', error.message);
+    }
+  }
+  applyCors(req, res, { methods: 'OPTIONS,POST', extraOrigins: shareOrigins });
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -20,77 +53,196 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Set once the upstream call starts so failures are metered too
+  let meter = null;
+
   try {
-    // Get API key from environment variables
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    
-    if (!apiKey) {
-      console.error('OPENROUTER_API_KEY environment variable not set');
+    const ipLimit = checkRateLimit(`ip:${getClientIp(req)}`, RATE_LIMITS.ip);
+    if (!ipLimit.allowed) {
+      res.setHeader('Retry-After', ipLimit.retryAfter);
+      return res.status(429).json({ error: 'Too many requests, please slow down' });
+    }
+
+    if (configuredProviders().length === 0) {
+      console.error('No model provider configured (set OPENROUTER_API_KEY, OPENAI_API_KEY or LOCAL_LLM_BASE_URL)');
       return res.status(500).json({ 
         error: 'Server configuration error',
-        details: 'API key not configured' 
+        details: 'No model provider configured' 
       });
     }
 
-    const { messages, instructions, context, model = 'openai/gpt-4o-mini' } = req.body;
+    const { messages, gptId, stream = false, version = 'draft', model: requestedModel } = req.body;
 
     // Validate required fields
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({ error: 'Messages array is required and cannot be empty' });
     }
 
-    // Prepare system message with instructions and context
-    let systemContent = instructions || 'You are a helpful AI assistant.';
-    
-    if (context && context.trim()) {
-      systemContent += `\n\nRelevant information from uploaded documents:\n${context}`;
-    }
-
-    // Prepare messages for OpenRouter API
-    const openRouterMessages = [
-      { role: 'system', content: systemContent },
-      ...messages
-    ];
-
-    // Call OpenRouter API
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': req.headers.origin || 'https://eringptbuilder.com',
-        'X-Title': 'ErinGPT Builder'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: openRouterMessages,
-        max_tokens: 1500,
-        temperature: 0.7,
-        stream: false
-      })
+    // Only the GPT's owner or an active subscriber may chat with it, or
+    // anyone holding a share link
+    let user, gpt, access, share = null;
+
+    if (shareToken) {
+      const shared = await authorizeShare(supabase, req, shareToken);
+      if (!shared.gpt) {
+        return res.status(shared.status).json({ error: shared.error, passwordRequired: shared.passwordRequired });
+      }
+      ({ share, gpt } = shared);
+      access = 'share';
+      // Shared chats count against the creator's own plan
+      user = { id: gpt.user_id };
+    } else {
+      const auth = await getUserFromRequest(req, supabase);
+      if (!auth.user) {
+        return res.status(401).json({ error: auth.error });
+      }
+      user = auth.user;
+    }
+
+    const userLimit = checkRateLimit(share ? `share:${share.id}` : `user:${user.id}`, RATE_LIMITS.user);
+    if (!userLimit.allowed) {
+      res.setHeader('Retry-After', userLimit.retryAfter);
+      return res.status(429).json({ error: 'Too many requests, please slow down' });
+    }
+
+    if (!share) {
+      const authorized = await authorizeGPTAccess(supabase, user, gptId);
+      if (!authorized.gpt) {
+        return res.status(authorized.status).json({ error: authorized.error });
+      }
+      ({ gpt, access } = authorized);
+    }
+
+    // Enforce the monthly token quota before spending anything upstream
+    const plan = await resolvePlan(supabase, user, access);
+    const quota = await checkQuota(supabase, user, plan, gpt.id);
+    if (!quota.allowed) {
+      res.setHeader('Retry-After', quota.retryAfter);
+      return res.status(429).json({
+        error: 'Monthly usage quota exceeded',
+        details: `The ${plan} plan includes ${quota.limit.toLocaleString()} tokens per month`,
+        quota
+      });
+    }
+
+    if (share) {
+      const limits = await checkShareLimits(supabase, share);
+      if (!limits.allowed) {
+        res.setHeader('Retry-After', limits.retryAfter);
+        return res.status(429).json({ error: limits.error });
+      }
+    }
+
+    // Owners may try the GPT on another model, e.g. to compare models in a test run
+    if (requestedModel && (access !== 'owner' || typeof requestedModel !== 'string' || requestedModel.length > 200)) {
+      return res.status(400).json({ error: 'Only the GPT\'s owner can choose the model' });
+    }
+
+    const imageError = checkImages(messages);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+
+    // Keep the conversation within the model's context budget
+    const history = trimHistory(limitHistoryImages(sanitizeHistory(messages)));
+
+    if (history.messages.length === 0 || history.messages[history.messages.length - 1].role !== 'user') {
+      return res.status(400).json({ error: 'The last message must be a non-empty user message' });
+    }
+
+    // Instructions and knowledge always come from the stored GPT, never the
+    // browser. Subscribers get the published version; owners test the draft.
+    const gptData = servedGPTData(gpt, access, version);
+
+    // Guardrails: a blocked conversation gets the GPT's refusal and never
+    // reaches the model. Every turn is checked since the browser sends them all.
+    const guard = { gptId: gpt.id, userId: share ? null : user.id, shareId: share?.id || null };
+    const blocked = await checkHistory(gptData, history.messages);
+
+    if (blocked) {
+      await logGuardrailEvent(supabase, { ...guard, stage: 'input', ...blocked });
+      return sendRefusal(res, stream, refusalMessage(gptData));
+    }
+
+    // A finished reply that fails the output checks is replaced by the
+    // refusal; in the browser that also replaces the streamed text
+    const reviewReply = async (message) => {
+      const flagged = await checkOutput(gptData, message);
+      if (!flagged) return null;
+      await logGuardrailEvent(supabase, { ...guard, stage: 'output', ...flagged, excerpt: message });
+      return refusalMessage(gptData);
+    };
+
+    // Images need a model that can see them. The GPT's chain falls back to
+    // VISION_MODEL; a model the owner picked explicitly is never swapped.
+    let models = requestedModel ? [requestedModel] : modelSettings(gptData).models;
+    let modelSwitch = null;
+
+    if (hasImages(history.messages)) {
+      const vision = visionModelChain(models, { allowSwitch: !requestedModel });
+      if (vision.error) {
+        return res.status(400).json({ error: vision.error });
+      }
+      models = vision.models;
+      if (vision.switchedFrom) modelSwitch = { from: vision.switchedFrom, to: models[0] };
+    }
+
+    const { completion, sources, toolbox, model, promptTokens } = await buildCompletion(supabase, {
+      gpt,
+      gptData,
+      history,
+      referer: req.headers.origin,
+      models
     });
 
-    const data = await response.json();
+    // Sources are returned without their text; the browser only needs the reference.
+    // Web citations are read at the end since they are collected while tools run.
+    const citations = sources.map(({ content, ...source }) => source);
+    const references = () => ({ sources: citations, webCitations: toolbox.citations, modelSwitch });
+
+    // GPTs with an output schema answer in JSON that is checked (and retried
+    // once) before anything is sent, so their replies are never streamed
+    const schema = outputSchema(gptData);
 
-    if (!response.ok) {
-      console.error('OpenRouter API error:', data);
-      throw new Error(data.error?.message || `API error: ${response.status}`);
+    meter = {
+      userId: user.id,
+      gptId: gpt.id,
+      shareId: share?.id || null,
+      model,
+      startedAt: Date.now(),
+      promptTokens
+    };
+
+    if (stream) {
+      const result = await streamReply(res, completion, references, reviewReply, schema);
+      await finishMeter(supabase, meter, result);
+      return;
     }
 
-    // Validate response structure
-    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-      throw new Error('Invalid response structure from OpenRouter API');
+    const result = schema
+      ? await runStructuredCompletion(completion, schema)
+      : await runCompletion(completion);
+
+    await finishMeter(supabase, meter, { ...result, status: 'success' });
+
+    const refusal = await reviewReply(result.message);
+    if (refusal) {
+      return res.status(200).json(refusalReply(refusal, result));
     }
 
     // Return successful response
     return res.status(200).json({
       success: true,
-      message: data.choices[0].message.content,
-      model: data.model,
-      usage: data.usage || {}
+      message: result.message,
+      model: result.model,
+      usage: result.usage || {},
+      ...structuredResult(result),
+      ...references()
     });
 
   } catch (error) {
+    if (meter) await finishMeter(supabase, meter, { status: 'error' });
+
     console.error('Chat API Error:', {
       message: error.message,
       stack: error.stack,
@@ -104,3 +256,102 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// The `done` payload of a reply blocked by the guardrails
+function refusalReply(message, result = {}) {
+  return {
+    success: true,
+    message,
+    model: result.model || null,
+    usage: result.usage || {},
+    sources: [],
+    webCitations: [],
+    blocked: true
+  };
+}
+
+// `structured` of the `done` payload: the parsed JSON, whether it matches the
+// GPT's schema and the validation errors if not
+function structuredResult(result) {
+  return result.structured ? { structured: result.structured } : {};
+}
+
+// Answer a blocked message the way a reply would arrive
+function sendRefusal(res, stream, message) {
+  if (!stream) {
+    return res.status(200).json(refusalReply(message));
+  }
+
+  startSSE(res);
+  writeSSE(res, 'done', refusalReply(message));
+  res.end();
+}
+
+// Relay the reply to the browser as SSE: `delta` events for text, `tool`
+// events as tools run, then a single `done` event (full message, model, usage,
+// references) or an `error` event. `reviewReply` checks the finished message
+// and returns a refusal to send instead, or null. With a `schema` there are
+// no `delta` events: the checked JSON arrives with `done`. Resolves with what
+// was streamed so the caller can meter it.
+async function streamReply(res, completion, references, reviewReply, schema) {
+  // Abort the upstream request if the browser goes away (e.g. the Stop button)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  startSSE(res);
+
+  let streamed = '';
+
+  try {
+    const onToolCall = (call, phase, output) => {
+      writeSSE(res, 'tool', describeToolCall(call, phase, output));
+    };
+
+    const result = schema
+      ? await runStructuredCompletion(completion, schema, { signal: controller.signal, onToolCall })
+      : await runCompletion({
+          ...completion,
+          stream: true,
+          signal: controller.signal,
+          onDelta: (content) => {
+            streamed += content;
+            writeSSE(res, 'delta', { content });
+          },
+          onToolCall
+        });
+
+    const refusal = await reviewReply(result.message);
+
+    writeSSE(res, 'done', refusal ? refusalReply(refusal, result) : {
+      success: true,
+      message: result.message,
+      model: result.model,
+      usage: result.usage || {},
+      ...structuredResult(result),
+      ...references()
+    });
+
+    return { ...result, status: 'success' };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return { message: streamed, status: 'aborted' };
+    }
+
+    console.error('Chat stream error:', {
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    writeSSE(res, 'error', {
+      error: 'Failed to process chat request',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    return { message: streamed, status: 'error' };
+  } finally {
+    res.end();
+  }
+}
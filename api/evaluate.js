@@ -0,0 +1,132 @@
+// api/evaluate.js - Grade a GPT's reply against one of its tests
+//
+//   POST { gptId, testId, output }
+//   → { passed, checks: [{ type, value, passed, detail }] }
+// Only the GPT's owner may use this. The expectations come from the stored
+// test (see api/tests.js and lib/expectations.js). Rubrics are graded by a
+// model; those tokens count against the owner's quota like any chat.
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { resolvePlan, checkQuota, recordUsage } from '../lib/usage.js';
+import { checkRateLimit, RATE_LIMITS } from '../lib/rate-limit.js';
+import { checkExpectation, gradeRubric, GRADER_MODEL } from '../lib/expectations.js';
+import { applyCors } from '../lib/cors.js';
+import { loadGPTForRole } from '../lib/workspaces.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const limit = checkRateLimit(`evaluate:${user.id}`, RATE_LIMITS.user);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', limit.retryAfter);
+      return res.status(429).json({ error: 'Too many requests, please slow down' });
+    }
+
+    const { gptId, testId, output } = req.body;
+
+    if (typeof output !== 'string') {
+      return res.status(400).json({ error: 'output is required' });
+    }
+
+    const gpt = await loadGPTForRole(supabase, user, gptId, 'editor');
+
+    if (!gpt) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    const { data: test, error: testError } = await supabase
+      .from('gpt_tests')
+      .select('id, prompt, expectations')
+      .eq('id', testId)
+      .eq('gpt_id', gpt.id)
+      .maybeSingle();
+
+    if (testError) throw testError;
+
+    if (!test) {
+      return res.status(404).json({ error: 'Test not found' });
+    }
+
+    const expectations = test.expectations || [];
+
+    if (expectations.some(expectation => expectation.type === 'rubric')) {
+      const plan = await resolvePlan(supabase, user, 'owner');
+      const quota = await checkQuota(supabase, user, plan, gpt.id);
+      if (!quota.allowed) {
+        res.setHeader('Retry-After', quota.retryAfter);
+        return res.status(429).json({ error: 'Monthly usage quota exceeded', quota });
+      }
+    }
+
+    const checks = [];
+
+    for (const expectation of expectations) {
+      let result;
+
+      if (expectation.type === 'rubric') {
+        result = await gradeWithMeter(user, gpt, {
+          rubric: expectation.value,
+          prompt: test.prompt,
+          output,
+          referer: req.headers.origin
+        });
+      } else {
+        result = checkExpectation(expectation, output);
+      }
+
+      checks.push({ type: expectation.type, value: expectation.value, ...result });
+    }
+
+    return res.json({
+      passed: checks.length > 0 && checks.every(check => check.passed),
+      checks
+    });
+  } catch (error) {
+    console.error('Evaluate API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+// A grader failure fails the check instead of the whole evaluation
+async function gradeWithMeter(user, gpt, options) {
+  const startedAt = Date.now();
+
+  try {
+    const { passed, detail, usage, modelId } = await gradeRubric(options);
+
+    await recordUsage(supabase, {
+      userId: user.id,
+      gptId: gpt.id,
+      model: modelId || GRADER_MODEL,
+      usage: usage || {},
+      latencyMs: Date.now() - startedAt,
+      status: 'success'
+    });
+
+    return { passed, detail };
+  } catch (error) {
+    console.error('Rubric grading failed:', error.message);
+    return { passed: false, detail: `Grading failed: ${error.message}` };
+  }
+}
@@ -0,0 +1,95 @@
+// api/guardrails.js - Messages, replies and knowledge files flagged by a GPT's guardrails
+//
+// Only the GPT's owner (or a workspace editor) may read these. Events are written by /api/chat,
+// /api/v1/chat/completions and /api/knowledge (see lib/guardrails.js).
+//   GET /api/guardrails?gptId=&page=1&category=   events, newest first
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { GUARDRAIL_CATEGORIES } from '../lib/guardrails.js';
+import { loadGPTForRole } from '../lib/workspaces.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 25;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { gptId, category } = req.query;
+
+    const gpt = await loadGPTForRole(supabase, user, gptId, 'editor');
+    if (!gpt) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    if (category && !GUARDRAIL_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of ${GUARDRAIL_CATEGORIES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const from = (page - 1) * PAGE_SIZE;
+
+    let query = supabase
+      .from('guardrail_events')
+      .select('id, user_id, share_id, api_key_id, stage, category, rule, excerpt, created_at', { count: 'exact' })
+      .eq('gpt_id', gpt.id);
+
+    if (category) query = query.eq('category', category);
+
+    const { data: rows, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    // Teammates chatting with a workspace GPT are told apart from subscribers
+    let team = new Set();
+    if (gpt.workspace_id) {
+      const { data: members, error: membersError } = await supabase
+        .from('workspace_members')
+        .select('user_id')
+        .eq('workspace_id', gpt.workspace_id);
+
+      if (membersError) throw membersError;
+      team = new Set((members || []).map(member => member.user_id));
+    }
+
+    return res.json({
+      events: (rows || []).map(row => ({
+        id: row.id,
+        stage: row.stage,
+        category: row.category,
+        rule: row.rule,
+        excerpt: row.excerpt,
+        // Who was chatting, without exposing other users' ids
+        via: row.share_id ? 'share' : row.api_key_id ? 'api' : row.user_id === user.id ? 'owner' : team.has(row.user_id) ? 'team' : 'subscriber',
+        created: row.created_at
+      })),
+      page,
+      totalPages: Math.ceil((count || 0) / PAGE_SIZE)
+    });
+  } catch (error) {
+    console.error('Guardrails API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,141 @@
+// api/knowledge.js - Chunk and index knowledge files for retrieval during chat
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { contentHash as hashContent, isContentHash, knowledgeReferences, indexChunks } from '../lib/knowledge.js';
+import { loadGPTForRole } from '../lib/workspaces.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Large files are sent in several segments so each request stays under the platform body limit
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '4mb',
+    },
+  },
+}
+
+// The client sends at most this many characters per index_file request
+const MAX_SEGMENT_LENGTH = 3 * 1024 * 1024;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { action, ...data } = req.body;
+
+    // Only the GPT's owner (or a workspace editor) may change its index
+    const gpt = await loadGPTForRole(supabase, user, data.gptId, 'editor', 'gpt_data, published_data');
+
+    if (!gpt) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    switch (action) {
+      case 'index_file':
+        return await indexFile(req, res, user, data);
+      case 'prune':
+        return await pruneFiles(req, res, gpt, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Knowledge API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+// Index one segment of a file text under its hash (see lib/knowledge.js).
+// The chunks of other texts stay, so the published version keeps its
+// knowledge while a draft replaces the file.
+async function indexFile(req, res, user, { gptId, fileName, contentHash, content, segment = 0, startIndex = 0 }) {
+  if (!fileName || typeof content !== 'string') {
+    return res.status(400).json({ error: 'fileName and content are required' });
+  }
+
+  if (!isContentHash(contentHash)) {
+    return res.status(400).json({ error: 'contentHash must be the SHA-256 of the file text' });
+  }
+
+  // A one-segment file can be checked; longer ones are checked when the version is saved
+  if (segment === 0 && content.length < MAX_SEGMENT_LENGTH && contentHash !== hashContent(content)) {
+    return res.status(400).json({ error: 'contentHash does not match the file text' });
+  }
+
+  const result = await indexChunks(supabase, {
+    gptId,
+    userId: user.id,
+    fileName,
+    hash: contentHash,
+    content,
+    segment,
+    startIndex
+  });
+
+  return res.json(result);
+}
+
+// Remove the chunks of texts that neither the draft being saved (keepHashes),
+// the stored draft nor the published version reads
+async function pruneFiles(req, res, gpt, { gptId, keepHashes }) {
+  if (!Array.isArray(keepHashes)) {
+    return res.status(400).json({ error: 'keepHashes must be a list of content hashes' });
+  }
+
+  const keep = new Set(keepHashes.filter(isContentHash));
+  const legacyNames = new Set();
+
+  for (const gptData of [gpt.gpt_data, gpt.published_data]) {
+    const references = knowledgeReferences(gptData);
+    references.hashes.forEach(hash => keep.add(hash));
+    references.legacyNames.forEach(name => legacyNames.add(name));
+  }
+
+  let hashed = supabase
+    .from('knowledge_chunks')
+    .delete()
+    .eq('gpt_id', gptId)
+    .not('content_hash', 'is', null);
+
+  if (keep.size > 0) {
+    hashed = hashed.not('content_hash', 'in', `(${[...keep].join(',')})`);
+  }
+
+  const { error: hashedError } = await hashed;
+  if (hashedError) throw hashedError;
+
+  // Chunks indexed before hashes were kept go once no copy names their file
+  let legacy = supabase
+    .from('knowledge_chunks')
+    .delete()
+    .eq('gpt_id', gptId)
+    .is('content_hash', null);
+
+  if (legacyNames.size > 0) {
+    legacy = legacy.not('file_name', 'in', `(${[...legacyNames].map(name => `"${name.replace(/"/g, '\\"')}"`).join(',')})`);
+  }
+
+  const { error: legacyError } = await legacy;
+  if (legacyError) throw legacyError;
+
+  return res.json({ success: true });
+}
@@ -0,0 +1,139 @@
+// api/marketplace.js - Public marketplace listing and GPT detail
+//
+// Only reads the listing columns of `user_gpts` (listed, name, description,
+// category, tags, monthly_price, pricing, subscriber_count, rating_avg,
+// rating_count and the generated tsvector `search_vector` over name and
+// description), never gpt_data, so instructions, files and action secrets
+// stay private. Coupon codes are left out of the pricing.
+import { createClient } from '@supabase/supabase-js';
+import { displayNames } from '../lib/users.js';
+import { listingPricing, publicPricing } from '../lib/pricing.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+const LISTING_COLUMNS = 'id, user_id, name, description, category, tags, monthly_price, pricing, subscriber_count, rating_avg, rating_count, created_at';
+
+const SORTS = {
+  newest: [['created_at', { ascending: false }]],
+  price_asc: [['monthly_price', { ascending: true }], ['created_at', { ascending: false }]],
+  price_desc: [['monthly_price', { ascending: false }], ['created_at', { ascending: false }]],
+  subscribers: [['subscriber_count', { ascending: false }], ['created_at', { ascending: false }]],
+  rating: [['rating_avg', { ascending: false, nullsFirst: false }], ['rating_count', { ascending: false }]]
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (req.query.id) {
+      return await getListing(res, req.query.id);
+    }
+    return await searchListings(req, res);
+  } catch (error) {
+    console.error('Marketplace API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+// GET /api/marketplace?q=&category=&tag=&sort=newest&page=1&pageSize=12
+async function searchListings(req, res) {
+  const { q, category, tag } = req.query;
+  const sort = SORTS[req.query.sort] ? req.query.sort : 'newest';
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const from = (page - 1) * pageSize;
+
+  let query = supabase
+    .from('user_gpts')
+    .select(LISTING_COLUMNS, { count: 'exact' })
+    .eq('listed', true);
+
+  if (q && q.trim()) {
+    query = query.textSearch('search_vector', q.trim().slice(0, 200), { type: 'websearch', config: 'english' });
+  }
+  if (category) {
+    query = query.eq('category', category);
+  }
+  if (tag) {
+    query = query.contains('tags', [String(tag).toLowerCase()]);
+  }
+
+  for (const [column, options] of SORTS[sort]) {
+    query = query.order(column, options);
+  }
+
+  const { data: rows, count, error } = await query.range(from, from + pageSize - 1);
+
+  if (error) throw error;
+
+  const creators = await displayNames(supabase, (rows || []).map(row => row.user_id));
+
+  res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
+  return res.json({
+    gpts: (rows || []).map(row => toListing(row, creators)),
+    page,
+    pageSize,
+    total: count || 0,
+    totalPages: Math.ceil((count || 0) / pageSize)
+  });
+}
+
+// GET /api/marketplace?id=<gpt id>
+async function getListing(res, gptId) {
+  const { data: row, error } = await supabase
+    .from('user_gpts')
+    .select(`${LISTING_COLUMNS}, web_search:gpt_data->webSearch, published_web_search:published_data->webSearch`)
+    .eq('id', gptId)
+    .eq('listed', true)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!row) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  const creators = await displayNames(supabase, [row.user_id]);
+
+  return res.json({
+    gpt: {
+      ...toListing(row, creators),
+      // Subscribers get the published version, when there is one
+      webSearch: Boolean(row.published_web_search ?? row.web_search)
+    }
+  });
+}
+
+function toListing(row, creators) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    category: row.category || null,
+    tags: row.tags || [],
+    monthlyPrice: Number(row.monthly_price) || 0,
+    pricing: publicPricing(listingPricing(row)),
+    subscriberCount: row.subscriber_count || 0,
+    ratingAvg: row.rating_avg === null || row.rating_avg === undefined ? null : Number(row.rating_avg),
+    ratingCount: row.rating_count || 0,
+    created: row.created_at,
+    creator: { id: row.user_id, displayName: creators[row.user_id] || 'Creator' }
+  };
+}
@@ -0,0 +1,298 @@
+// api/revenue.js - Revenue analytics and ledger export for the creator dashboard
+//
+// Reads the `revenue_ledger` rows written by the Stripe webhook, the creator's
+// `customer_subscriptions` (monthly_amount, created_at, canceled_at) for MRR,
+// new subscribers and churn, and the Connect balance from Stripe. Amounts are
+// in cents and never added across currencies: every money total is an object
+// of one total per currency, e.g. { usd: 12000, eur: 4500 }, and `currencies`
+// lists every currency the report has amounts in.
+//   GET /api/revenue?months=12   summary, monthly series, per-GPT totals, activity
+//   GET /api/revenue?format=csv  the ledger as CSV, optional from/to dates
+import Stripe from 'stripe';
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest, ACTIVE_SUBSCRIPTION_STATUSES } from '../lib/auth.js';
+import { applyCors } from '../lib/cors.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 24;
+const ACTIVITY_LIMIT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions that never started don't count towards MRR or churn
+const NEVER_STARTED = ['incomplete', 'incomplete_expired'];
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (req.query.format === 'csv') {
+      return await exportLedger(req, res, user);
+    }
+
+    return await revenueReport(req, res, user);
+  } catch (error) {
+    console.error('Revenue API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function loadGPTNames(userId) {
+  const { data, error } = await supabase
+    .from('user_gpts')
+    .select('id, name')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(gpt => [gpt.id, gpt.name || 'Untitled GPT']));
+}
+
+async function loadLedger(userId, { from, to } = {}) {
+  let query = supabase
+    .from('revenue_ledger')
+    .select('stripe_object_id, type, gpt_id, customer_id, stripe_subscription_id, stripe_invoice_id, gross, platform_fee, net, currency, occurred_at')
+    .eq('creator_id', userId)
+    .order('occurred_at', { ascending: false });
+
+  if (from) query = query.gte('occurred_at', from);
+  if (to) query = query.lt('occurred_at', to);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function revenueReport(req, res, user) {
+  const months = Math.min(Math.max(parseInt(req.query.months, 10) || DEFAULT_MONTHS, 1), MAX_MONTHS);
+
+  const names = await loadGPTNames(user.id);
+  const ledger = await loadLedger(user.id);
+
+  const { data: subscriptionRows, error: subsError } = await supabase
+    .from('customer_subscriptions')
+    .select('gpt_id, status, monthly_amount, currency, created_at, canceled_at')
+    .eq('creator_id', user.id);
+
+  if (subsError) throw subsError;
+
+  const subscriptions = (subscriptionRows || []).filter(sub => !NEVER_STARTED.includes(sub.status));
+  const active = subscriptions.filter(sub => ACTIVE_SUBSCRIPTION_STATUSES.includes(sub.status));
+  const since30 = Date.now() - 30 * DAY_MS;
+
+  const summary = {
+    activeSubscribers: active.length,
+    mrr: sumByCurrency(active, 'monthly_amount'),
+    net30Days: sumByCurrency(ledger.filter(row => time(row.occurred_at) >= since30), 'net'),
+    gross: sumByCurrency(ledger, 'gross'),
+    platformFees: sumByCurrency(ledger, 'platform_fee'),
+    refunds: sumByCurrency(ledger.filter(row => row.type === 'refund'), 'gross', -1),
+    net: sumByCurrency(ledger, 'net'),
+    balance: await connectBalance(user.id)
+  };
+
+  const gpts = Object.entries(names).map(([gptId, name]) => {
+    const gptActive = active.filter(sub => sub.gpt_id === gptId);
+    const gptLedger = ledger.filter(row => row.gpt_id === gptId);
+    return {
+      gptId,
+      name,
+      subscribers: gptActive.length,
+      mrr: sumByCurrency(gptActive, 'monthly_amount'),
+      gross: sumByCurrency(gptLedger, 'gross'),
+      platformFees: sumByCurrency(gptLedger, 'platform_fee'),
+      refunds: sumByCurrency(gptLedger.filter(row => row.type === 'refund'), 'gross', -1),
+      net: sumByCurrency(gptLedger, 'net')
+    };
+  });
+
+  const currencies = new Set([...subscriptions, ...ledger].map(currencyOf));
+  if (summary.balance) {
+    Object.keys(summary.balance.available).forEach(currency => currencies.add(currency));
+    Object.keys(summary.balance.pending).forEach(currency => currencies.add(currency));
+  }
+
+  return res.json({
+    currencies: [...currencies].sort(),
+    summary,
+    series: monthlySeries(subscriptions, ledger, months),
+    gpts,
+    activity: await recentActivity(subscriptions, ledger, names)
+  });
+}
+
+// Rows written before currencies were recorded are in USD
+function currencyOf(row) {
+  return (row.currency || 'usd').toLowerCase();
+}
+
+// { currency: total } of one column; `sign` -1 reports refunds as positive amounts
+function sumByCurrency(rows, column, sign = 1) {
+  const totals = {};
+  for (const row of rows) {
+    const currency = currencyOf(row);
+    totals[currency] = (totals[currency] || 0) + sign * (Number(row[column]) || 0);
+  }
+  return totals;
+}
+
+// Timestamps come back from Postgres with an offset, so compare them as numbers
+function time(value) {
+  return value ? Date.parse(value) : null;
+}
+
+// One point per calendar month (UTC), oldest first. MRR is measured at the
+// end of the month, or now for the current one.
+function monthlySeries(subscriptions, ledger, months) {
+  const now = new Date();
+  const series = [];
+
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1);
+    const end = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset + 1, 1);
+    const at = Math.min(end, now.getTime());
+
+    const activeAt = subscriptions.filter(sub =>
+      time(sub.created_at) < at && (!sub.canceled_at || time(sub.canceled_at) >= at)
+    );
+    const inMonth = value => value !== null && value >= start && value < end;
+
+    series.push({
+      month: new Date(start).toISOString().slice(0, 7),
+      mrr: sumByCurrency(activeAt, 'monthly_amount'),
+      subscribers: activeAt.length,
+      newSubscribers: subscriptions.filter(sub => inMonth(time(sub.created_at))).length,
+      churned: subscriptions.filter(sub => inMonth(time(sub.canceled_at))).length,
+      net: sumByCurrency(ledger.filter(row => inMonth(time(row.occurred_at))), 'net')
+    });
+  }
+
+  return series;
+}
+
+// Newest subscriptions, cancellations, payments, refunds and reviews
+async function recentActivity(subscriptions, ledger, names) {
+  const gptIds = Object.keys(names);
+  let reviews = [];
+
+  if (gptIds.length > 0) {
+    const { data, error } = await supabase
+      .from('gpt_reviews')
+      .select('gpt_id, rating, created_at')
+      .in('gpt_id', gptIds)
+      .eq('hidden', false)
+      .order('created_at', { ascending: false })
+      .limit(ACTIVITY_LIMIT);
+
+    if (error) throw error;
+    reviews = data || [];
+  }
+
+  const events = [
+    ...subscriptions.map(sub => ({ type: 'subscribed', at: sub.created_at, gptId: sub.gpt_id })),
+    ...subscriptions.filter(sub => sub.canceled_at)
+      .map(sub => ({ type: 'canceled', at: sub.canceled_at, gptId: sub.gpt_id })),
+    ...ledger.map(row => ({ type: row.type, at: row.occurred_at, gptId: row.gpt_id, amount: row.gross, currency: row.currency })),
+    ...reviews.map(review => ({ type: 'review', at: review.created_at, gptId: review.gpt_id, rating: review.rating }))
+  ];
+
+  return events
+    .filter(event => event.at)
+    .sort((a, b) => time(b.at) - time(a.at))
+    .slice(0, ACTIVITY_LIMIT)
+    .map(event => ({ ...event, gptName: names[event.gptId] || 'Deleted GPT' }));
+}
+
+// Funds on the creator's connected account, per currency as Stripe keeps
+// them; null when there is none yet
+async function connectBalance(userId) {
+  const { data: account, error } = await supabase
+    .from('creator_connect_accounts')
+    .select('stripe_account_id')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!account?.stripe_account_id) return null;
+
+  try {
+    const balance = await stripe.balance.retrieve({}, { stripeAccount: account.stripe_account_id });
+    return {
+      available: sumByCurrency(balance.available || [], 'amount'),
+      pending: sumByCurrency(balance.pending || [], 'amount')
+    };
+  } catch (error) {
+    console.error('Error loading Connect balance:', error.message);
+    return null;
+  }
+}
+
+// GET /api/revenue?format=csv&from=2026-01-01&to=2026-04-01
+async function exportLedger(req, res, user) {
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  const names = await loadGPTNames(user.id);
+  const ledger = await loadLedger(user.id, { from, to });
+
+  const header = ['date', 'type', 'gpt_id', 'gpt_name', 'gross', 'platform_fee', 'net', 'currency', 'stripe_id', 'invoice_id', 'subscription_id'];
+  const lines = ledger.map(row => [
+    row.occurred_at,
+    row.type,
+    row.gpt_id,
+    names[row.gpt_id] || '',
+    toDecimal(row.gross),
+    toDecimal(row.platform_fee),
+    toDecimal(row.net),
+    (row.currency || '').toUpperCase(),
+    row.stripe_object_id,
+    row.stripe_invoice_id || '',
+    row.stripe_subscription_id || ''
+  ].map(csvField).join(','));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="revenue-${new Date().toISOString().slice(0, 10)}.csv"`);
+  return res.status(200).send([header.join(','), ...lines].join('\r\n') + '\r\n');
+}
+
+// undefined for an invalid date, null when the parameter is absent
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function toDecimal(cents) {
+  return ((Number(cents) || 0) / 100).toFixed(2);
+}
+
+// Quote fields that need it; a leading =, +, - or @ is prefixed so
+// spreadsheets don't evaluate GPT names as formulas
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,440 @@
+// api/reviews.js - Ratings and reviews for marketplace GPTs
+//
+// Reviews live in `gpt_reviews` (gpt_id, user_id, rating 1-5, body, hidden,
+// reply_body, reply_at, created_at, updated_at), one per user and GPT. The
+// creator, or an editor of the GPT's workspace, may reply. Active subscribers
+// can report abuse to `review_reports` (review_id, reporter_id, reason,
+// status 'open'|'hidden'|'dismissed', created_at, resolved_at), a moderation
+// queue for platform operators (ADMIN_API_KEY); reports never hide a review
+// by themselves.
+// The aggregate is copied to user_gpts.rating_avg / rating_count for the
+// marketplace.
+//   GET  /api/reviews?gptId=&page=1        public list
+//   GET  /api/reviews?moderation=open      admin: reported reviews, most reported first
+//   POST { action: 'moderate', reviewId, decision: 'hide'|'dismiss'|'restore' }  admin
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest, authorizeGPTAccess, isGPTTeamMember, isAdminRequest, ACTIVE_SUBSCRIPTION_STATUSES } from '../lib/auth.js';
+import { displayNames } from '../lib/users.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 10;
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REPORT_LENGTH = 500;
+const MODERATION_PAGE_SIZE = 50;
+const MODERATION_DECISIONS = ['hide', 'dismiss', 'restore'];
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return req.query.moderation
+        ? await listReportedReviews(req, res)
+        : await listReviews(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ error: 'A JSON body is required' });
+    }
+
+    if (req.body.action === 'moderate') {
+      return await moderateReview(req, res, req.body);
+    }
+
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'submit':
+        return await submitReview(res, user, data);
+      case 'reply':
+        return await replyToReview(res, user, data);
+      case 'report':
+        return await reportReview(res, user, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Reviews API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function loadListedGPT(gptId) {
+  if (!gptId) return null;
+
+  const { data, error } = await supabase
+    .from('user_gpts')
+    .select('id, user_id, workspace_id, rating_avg, rating_count')
+    .eq('id', gptId)
+    .eq('listed', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Anyone who has ever subscribed, including cancelled subscriptions, may review
+async function hasSubscribed(userId, gptId) {
+  const { count, error } = await supabase
+    .from('customer_subscriptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('customer_id', userId)
+    .eq('gpt_id', gptId);
+
+  if (error) throw error;
+  return count > 0;
+}
+
+// Only current subscribers may report reviews
+async function hasActiveSubscription(userId, gptId) {
+  const { count, error } = await supabase
+    .from('customer_subscriptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('customer_id', userId)
+    .eq('gpt_id', gptId)
+    .in('status', ACTIVE_SUBSCRIPTION_STATUSES);
+
+  if (error) throw error;
+  return count > 0;
+}
+
+// Owners of a personal GPT and editors of a workspace GPT answer its reviews
+async function canReply(user, gptId) {
+  const { access } = await authorizeGPTAccess(supabase, user, gptId);
+  return access === 'owner';
+}
+
+// GET /api/reviews?gptId=&page=1 - visible reviews, newest first. Signed-in
+// callers also get their own review and whether they may write one.
+async function listReviews(req, res) {
+  const gpt = await loadListedGPT(req.query.gptId);
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const from = (page - 1) * PAGE_SIZE;
+
+  const { data: rows, count, error } = await supabase
+    .from('gpt_reviews')
+    .select('id, user_id, rating, body, reply_body, reply_at, created_at, updated_at', { count: 'exact' })
+    .eq('gpt_id', gpt.id)
+    .eq('hidden', false)
+    .order('created_at', { ascending: false })
+    .range(from, from + PAGE_SIZE - 1);
+
+  if (error) throw error;
+
+  const names = await displayNames(supabase, (rows || []).map(row => row.user_id));
+
+  const result = {
+    reviews: (rows || []).map(row => toReview(row, names)),
+    ratingAvg: gpt.rating_avg === null || gpt.rating_avg === undefined ? null : Number(gpt.rating_avg),
+    ratingCount: gpt.rating_count || 0,
+    page,
+    totalPages: Math.ceil((count || 0) / PAGE_SIZE),
+    isOwner: false,
+    canReview: false,
+    canReport: false,
+    myReview: null
+  };
+
+  // The list is public; a valid token only adds the caller's own state
+  if (req.headers.authorization) {
+    const { user } = await getUserFromRequest(req, supabase);
+    if (user) {
+      result.isOwner = await canReply(user, gpt.id);
+      result.canReview = !await isGPTTeamMember(supabase, user, gpt) && await hasSubscribed(user.id, gpt.id);
+      result.canReport = result.canReview && await hasActiveSubscription(user.id, gpt.id);
+
+      const { data: mine, error: mineError } = await supabase
+        .from('gpt_reviews')
+        .select('id, user_id, rating, body, reply_body, reply_at, created_at, updated_at')
+        .eq('gpt_id', gpt.id)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (mineError) throw mineError;
+      if (mine) result.myReview = toReview(mine, names);
+    }
+  }
+
+  return res.json(result);
+}
+
+function toReview(row, names) {
+  return {
+    id: row.id,
+    rating: row.rating,
+    body: row.body || '',
+    author: names[row.user_id] || 'Subscriber',
+    created: row.created_at,
+    edited: Boolean(row.updated_at && row.updated_at !== row.created_at),
+    reply: row.reply_body ? { body: row.reply_body, created: row.reply_at } : null
+  };
+}
+
+// Create or update the caller's review
+async function submitReview(res, user, { gptId, rating, body = '' }) {
+  const gpt = await loadListedGPT(gptId);
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  // The owner's workspace, editors who answer reviews included, can't rate it
+  if (await isGPTTeamMember(supabase, user, gpt)) {
+    return res.status(403).json({ error: 'You cannot review your own GPT' });
+  }
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+  }
+
+  if (typeof body !== 'string' || body.length > MAX_REVIEW_LENGTH) {
+    return res.status(400).json({ error: `Reviews are limited to ${MAX_REVIEW_LENGTH} characters` });
+  }
+
+  if (!await hasSubscribed(user.id, gpt.id)) {
+    return res.status(403).json({ error: 'Only subscribers can review this GPT' });
+  }
+
+  const now = new Date().toISOString();
+  const { data: existing, error: existingError } = await supabase
+    .from('gpt_reviews')
+    .select('id')
+    .eq('gpt_id', gpt.id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  const { data: review, error } = existing
+    ? await supabase
+        .from('gpt_reviews')
+        .update({ rating, body: body.trim(), updated_at: now })
+        .eq('id', existing.id)
+        .select()
+        .single()
+    : await supabase
+        .from('gpt_reviews')
+        .insert({ gpt_id: gpt.id, user_id: user.id, rating, body: body.trim(), hidden: false, created_at: now, updated_at: now })
+        .select()
+        .single();
+
+  if (error) throw error;
+
+  await refreshRating(gpt.id);
+
+  const names = await displayNames(supabase, [user.id]);
+  return res.json({ review: toReview(review, names) });
+}
+
+// The GPT's creator answers a review; an empty body removes the reply
+async function replyToReview(res, user, { reviewId, body = '' }) {
+  const review = await loadReviewWithGPT(reviewId);
+  if (!review) {
+    return res.status(404).json({ error: 'Review not found' });
+  }
+
+  if (!await canReply(user, review.gpt_id)) {
+    return res.status(403).json({ error: 'Only the creator can reply to reviews' });
+  }
+
+  if (typeof body !== 'string' || body.length > MAX_REVIEW_LENGTH) {
+    return res.status(400).json({ error: `Replies are limited to ${MAX_REVIEW_LENGTH} characters` });
+  }
+
+  const reply = body.trim();
+  const { error } = await supabase
+    .from('gpt_reviews')
+    .update({ reply_body: reply || null, reply_at: reply ? new Date().toISOString() : null })
+    .eq('id', review.id);
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
+
+// Queue a review for moderation; it stays visible until a moderator hides it
+async function reportReview(res, user, { reviewId, reason = '' }) {
+  const review = await loadReviewWithGPT(reviewId);
+  if (!review) {
+    return res.status(404).json({ error: 'Review not found' });
+  }
+
+  if (review.user_id === user.id) {
+    return res.status(400).json({ error: 'You cannot report your own review' });
+  }
+
+  if (!await hasActiveSubscription(user.id, review.gpt_id)) {
+    return res.status(403).json({ error: 'Only subscribers can report reviews' });
+  }
+
+  // One report per user and review; reporting again reopens it
+  const { error } = await supabase
+    .from('review_reports')
+    .upsert({
+      review_id: review.id,
+      reporter_id: user.id,
+      reason: String(reason).slice(0, MAX_REPORT_LENGTH),
+      status: 'open',
+      created_at: new Date().toISOString(),
+      resolved_at: null
+    }, { onConflict: 'review_id,reporter_id' });
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
+
+// Admin: reviews with open reports, most reported first
+async function listReportedReviews(req, res) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { data: reports, error } = await supabase
+    .from('review_reports')
+    .select('review_id, reporter_id, reason, created_at')
+    .eq('status', 'open')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const queue = {};
+  for (const report of reports || []) {
+    queue[report.review_id] ||= { reviewId: report.review_id, reports: [] };
+    queue[report.review_id].reports.push({ reason: report.reason || '', created: report.created_at });
+  }
+
+  const entries = Object.values(queue)
+    .sort((a, b) => b.reports.length - a.reports.length)
+    .slice(0, MODERATION_PAGE_SIZE);
+
+  if (entries.length === 0) {
+    return res.json({ reviews: [] });
+  }
+
+  const { data: rows, error: reviewsError } = await supabase
+    .from('gpt_reviews')
+    .select('id, gpt_id, user_id, rating, body, hidden, reply_body, reply_at, created_at, updated_at')
+    .in('id', entries.map(entry => entry.reviewId));
+
+  if (reviewsError) throw reviewsError;
+
+  const names = await displayNames(supabase, (rows || []).map(row => row.user_id));
+  const reviews = Object.fromEntries((rows || []).map(row => [row.id, row]));
+
+  return res.json({
+    reviews: entries.filter(entry => reviews[entry.reviewId]).map(entry => ({
+      ...toReview(reviews[entry.reviewId], names),
+      gptId: reviews[entry.reviewId].gpt_id,
+      hidden: reviews[entry.reviewId].hidden,
+      reports: entry.reports
+    }))
+  });
+}
+
+// Admin: hide a reported review, dismiss its reports, or show a hidden review again
+async function moderateReview(req, res, { reviewId, decision }) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!MODERATION_DECISIONS.includes(decision)) {
+    return res.status(400).json({ error: `decision must be one of ${MODERATION_DECISIONS.join(', ')}` });
+  }
+
+  const review = await loadReviewWithGPT(reviewId);
+  if (!review) {
+    return res.status(404).json({ error: 'Review not found' });
+  }
+
+  const hidden = decision === 'hide';
+  if (decision !== 'dismiss' && review.hidden !== hidden) {
+    const { error } = await supabase
+      .from('gpt_reviews')
+      .update({ hidden })
+      .eq('id', review.id);
+
+    if (error) throw error;
+    await refreshRating(review.gpt_id);
+  }
+
+  if (decision !== 'restore') {
+    const { error } = await supabase
+      .from('review_reports')
+      .update({ status: hidden ? 'hidden' : 'dismissed', resolved_at: new Date().toISOString() })
+      .eq('review_id', review.id)
+      .eq('status', 'open');
+
+    if (error) throw error;
+  }
+
+  return res.json({ success: true, hidden: decision === 'dismiss' ? review.hidden : hidden });
+}
+
+async function loadReviewWithGPT(reviewId) {
+  if (!reviewId) return null;
+
+  const { data: review, error } = await supabase
+    .from('gpt_reviews')
+    .select('id, gpt_id, user_id, hidden')
+    .eq('id', reviewId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!review) return null;
+
+  const { data: gpt, error: gptError } = await supabase
+    .from('user_gpts')
+    .select('id, user_id')
+    .eq('id', review.gpt_id)
+    .maybeSingle();
+
+  if (gptError) throw gptError;
+  return gpt ? { ...review, gpt } : null;
+}
+
+// Recompute the aggregate shown on marketplace cards from visible reviews
+async function refreshRating(gptId) {
+  const { data: ratings, error } = await supabase
+    .from('gpt_reviews')
+    .select('rating')
+    .eq('gpt_id', gptId)
+    .eq('hidden', false);
+
+  if (error) throw error;
+
+  const count = ratings?.length || 0;
+  const average = count > 0
+    ? Math.round(ratings.reduce((sum, row) => sum + row.rating, 0) / count * 100) / 100
+    : null;
+
+  const { error: updateError } = await supabase
+    .from('user_gpts')
+    .update({ rating_avg: average, rating_count: count })
+    .eq('id', gptId);
+
+  if (updateError) throw updateError;
+}
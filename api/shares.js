@@ -0,0 +1,340 @@
+// api/shares.js - Manage a GPT's public share links and embeds
+//
+//   GET  /api/shares?token=   public: what the share page and widget need
+//   GET  /api/shares?gptId=   owner or workspace editor: the GPT's share links with their usage
+//   POST { action: 'create', gptId, ...settings }
+//   POST { action: 'update', shareId, ...settings }
+//   POST { action: 'revoke', shareId }
+// Settings are label, password ('' removes it), expiresAt, allowedOrigins,
+// theme { color, position, title, greeting }, dailyMessageLimit and
+// monthlyTokenLimit. See lib/shares.js for the table.
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { applyCors, parseOrigins } from '../lib/cors.js';
+import {
+  findShare,
+  shareExpired,
+  generateShareToken,
+  hashSharePassword,
+  DEFAULT_SHARE_DAILY_MESSAGES
+} from '../lib/shares.js';
+import { loadGPTForRole, logAudit } from '../lib/workspaces.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_ORIGINS = 20;
+const DEFAULT_THEME = { color: '#2196F3', position: 'right', title: '', greeting: '' };
+
+export default async function handler(req, res) {
+  // The public lookup is read by the widget on the share's own sites
+  let shareOrigins = [];
+  if (req.method !== 'POST' && req.query?.token) {
+    try {
+      shareOrigins = (await findShare(supabase, req.query.token))?.allowed_origins || [];
+    } catch (error) {
+      console.error('Error loading share for CORS:', error.message);
+    }
+  }
+
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST', extraOrigins: shareOrigins });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    if (req.method === 'GET' && req.query.token) {
+      return await getPublicShare(res, req.query.token);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (req.method === 'GET') {
+      return await listShares(res, user, req.query.gptId);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'create':
+        return await createShare(res, user, data);
+      case 'update':
+        return await updateShare(res, user, data);
+      case 'revoke':
+        return await revokeShare(res, user, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Shares API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function getPublicShare(res, token) {
+  const share = await findShare(supabase, token);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+
+  if (shareExpired(share)) {
+    return res.status(410).json({ error: 'This share link has expired' });
+  }
+
+  const { data: gpt, error } = await supabase
+    .from('user_gpts')
+    .select('gpt_data->>name, gpt_data->>description, gpt_data->>welcomeMessage, gpt_data->conversationStarters, ' +
+      'published_name:published_data->>name, published_description:published_data->>description, ' +
+      'published_welcome:published_data->>welcomeMessage, published_starters:published_data->conversationStarters')
+    .eq('id', share.gpt_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!gpt) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+
+  // Like chats through the link, the page shows the published copy if there is one
+  const published = Boolean(gpt.published_name);
+
+  return res.json({
+    name: gpt.published_name || gpt.name,
+    description: gpt.published_description ?? gpt.description ?? '',
+    welcomeMessage: (published ? gpt.published_welcome : gpt.welcomeMessage) || '',
+    conversationStarters: (published ? gpt.published_starters : gpt.conversationStarters) || [],
+    theme: { ...DEFAULT_THEME, ...share.theme },
+    requiresPassword: Boolean(share.password_hash)
+  });
+}
+
+// A share link of a GPT the user may manage, with that GPT as `gpt`
+async function loadManagedShare(user, shareId) {
+  if (!shareId) return null;
+
+  const { data: share, error } = await supabase
+    .from('gpt_shares')
+    .select('id, gpt_id, label')
+    .eq('id', shareId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!share) return null;
+
+  const gpt = await loadGPTForRole(supabase, user, share.gpt_id, 'editor');
+  return gpt ? { ...share, gpt } : null;
+}
+
+async function listShares(res, user, gptId) {
+  const gpt = await loadGPTForRole(supabase, user, gptId, 'editor');
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  const { data: shares, error } = await supabase
+    .from('gpt_shares')
+    .select('id, token, label, password_hash, expires_at, allowed_origins, theme, daily_message_limit, monthly_token_limit, created_at')
+    .eq('gpt_id', gpt.id)
+    .eq('revoked', false)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const now = new Date();
+  const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+  const shareIds = (shares || []).map(share => share.id);
+  let usage = [];
+
+  if (shareIds.length > 0) {
+    const { data, error: usageError } = await supabase
+      .from('chat_usage')
+      .select('share_id, total_tokens')
+      .in('share_id', shareIds)
+      .gte('created_at', startOfMonth);
+
+    if (usageError) throw usageError;
+    usage = data || [];
+  }
+
+  return res.json({
+    shares: (shares || []).map(share => {
+      const rows = usage.filter(row => row.share_id === share.id);
+      return {
+        id: share.id,
+        token: share.token,
+        label: share.label || '',
+        hasPassword: Boolean(share.password_hash),
+        expiresAt: share.expires_at,
+        expired: shareExpired(share),
+        allowedOrigins: share.allowed_origins || [],
+        theme: { ...DEFAULT_THEME, ...share.theme },
+        dailyMessageLimit: share.daily_message_limit ?? DEFAULT_SHARE_DAILY_MESSAGES,
+        monthlyTokenLimit: share.monthly_token_limit || null,
+        messagesThisMonth: rows.length,
+        tokensThisMonth: rows.reduce((sum, row) => sum + (row.total_tokens || 0), 0),
+        created: share.created_at
+      };
+    })
+  });
+}
+
+function readLimit(value, name) {
+  if (value === null || value === undefined || value === '') return { value: null };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: `${name} must be a whole number` };
+  }
+  return { value: number };
+}
+
+// Validate the settings of a create or update; only the fields present in the
+// request are returned, so updates leave the others alone
+function readShareSettings(data) {
+  const values = {};
+
+  if (data.label !== undefined) {
+    values.label = String(data.label || '').trim().slice(0, 100) || null;
+  }
+
+  if (data.password !== undefined && data.password !== null) {
+    values.password_hash = data.password === '' ? null : hashSharePassword(data.password);
+  }
+
+  if (data.expiresAt !== undefined) {
+    if (data.expiresAt) {
+      const expires = new Date(data.expiresAt);
+      if (Number.isNaN(expires.getTime())) return { error: 'expiresAt must be a date' };
+      values.expires_at = expires.toISOString();
+    } else {
+      values.expires_at = null;
+    }
+  }
+
+  if (data.allowedOrigins !== undefined) {
+    const origins = parseOrigins(data.allowedOrigins);
+    if (!origins) return { error: 'Allowed sites must be http(s) URLs such as https://docs.example.com' };
+    if (origins.length > MAX_ORIGINS) return { error: `At most ${MAX_ORIGINS} allowed sites` };
+    values.allowed_origins = origins;
+  }
+
+  if (data.theme !== undefined) {
+    const theme = data.theme || {};
+    if (theme.color && !/^#[0-9a-f]{6}$/i.test(theme.color)) {
+      return { error: 'Theme color must be a hex color such as #2196F3' };
+    }
+    values.theme = {
+      color: theme.color || DEFAULT_THEME.color,
+      position: theme.position === 'left' ? 'left' : 'right',
+      title: String(theme.title || '').slice(0, 60),
+      greeting: String(theme.greeting || '').slice(0, 500)
+    };
+  }
+
+  for (const [field, column, name] of [
+    ['dailyMessageLimit', 'daily_message_limit', 'Daily message limit'],
+    ['monthlyTokenLimit', 'monthly_token_limit', 'Monthly token limit']
+  ]) {
+    if (data[field] === undefined) continue;
+    const { value, error } = readLimit(data[field], name);
+    if (error) return { error };
+    values[column] = value;
+  }
+
+  return { values };
+}
+
+async function createShare(res, user, data) {
+  const gpt = await loadGPTForRole(supabase, user, data.gptId, 'editor');
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  const { values, error: settingsError } = readShareSettings({ theme: {}, ...data });
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  const { data: share, error } = await supabase
+    .from('gpt_shares')
+    .insert({
+      gpt_id: gpt.id,
+      user_id: user.id,
+      token: generateShareToken(),
+      revoked: false,
+      allowed_origins: [],
+      ...values,
+      created_at: new Date().toISOString()
+    })
+    .select('id, token')
+    .single();
+
+  if (error) throw error;
+
+  await logAudit(supabase, {
+    workspaceId: gpt.workspace_id,
+    gptId: gpt.id,
+    actorId: user.id,
+    action: 'share.created',
+    details: { label: values.label || null }
+  });
+
+  return res.json({ share });
+}
+
+async function updateShare(res, user, data) {
+  const share = await loadManagedShare(user, data.shareId);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+
+  const { values, error: settingsError } = readShareSettings(data);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  const { error } = await supabase
+    .from('gpt_shares')
+    .update(values)
+    .eq('id', share.id);
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
+
+// Revoked links stop working at once; the row stays for the usage history
+async function revokeShare(res, user, { shareId }) {
+  const share = await loadManagedShare(user, shareId);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+
+  const { error } = await supabase
+    .from('gpt_shares')
+    .update({ revoked: true })
+    .eq('id', share.id);
+
+  if (error) throw error;
+
+  await logAudit(supabase, {
+    workspaceId: share.gpt.workspace_id,
+    gptId: share.gpt_id,
+    actorId: user.id,
+    action: 'share.revoked',
+    details: { label: share.label || null }
+  });
+
+  return res.json({ success: true });
+}
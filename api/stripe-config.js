@@ -1,6 +1,9 @@
 // api/stripe-config.js - Stripe integration for creator and customer subscriptions
 import Stripe from 'stripe';
 import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest, isGPTTeamMember, ACTIVE_SUBSCRIPTION_STATUSES } from '../lib/auth.js';
+import { listingPricing, checkoutPrice, findCoupon, stripeCouponId, stripeCouponParams, PLATFORM_FEE_PERCENT } from '../lib/pricing.js';
+import { applyCors } from '../lib/cors.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -11,13 +14,7 @@ const supabase = createClient(
 
 export default async function handler(req, res) {
   // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Content-Type, Authorization'
-  );
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -42,6 +39,18 @@ export default async function handler(req, res) {
         return await verifySubscription(req, res, data);
       case 'get_connect_status':
         return await getConnectStatus(req, res, data);
+      case 'list_my_subscriptions':
+        return await listMySubscriptions(req, res);
+      case 'get_subscribed_gpt':
+        return await getSubscribedGPT(req, res, data);
+      case 'cancel_subscription':
+        return await setCancelAtPeriodEnd(req, res, data, true);
+      case 'resume_subscription':
+        return await setCancelAtPeriodEnd(req, res, data, false);
+      case 'change_subscription_price':
+        return await changeSubscriptionPrice(req, res, data);
+      case 'create_portal_session':
+        return await createPortalSession(req, res, data);
       default:
         return res.status(400).json({ error: 'Invalid action' });
     }
@@ -167,9 +176,45 @@ async function createConnectAccount(req, res, { userId, email }) {
   }
 }
 
-// Create customer subscription to a specific GPT
-async function createCustomerSubscription(req, res, { userId, email, gptId, creatorId, monthlyPrice }) {
+// Create customer subscription to a specific GPT. The price, trial and
+// discount come from the stored listing (see lib/pricing.js); the browser
+// only picks a currency, monthly or annual billing (monthly when the GPT has
+// a monthly price) and a coupon code.
+async function createCustomerSubscription(req, res, { gptId, currency, interval, couponCode }) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
   try {
+    const { data: gpt, error: gptError } = await supabase
+      .from('user_gpts')
+      .select('id, user_id, workspace_id, name, description, listed, monthly_price, pricing')
+      .eq('id', gptId)
+      .maybeSingle();
+
+    if (gptError) throw gptError;
+
+    if (!gpt || !gpt.listed) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    if (await isGPTTeamMember(supabase, user, gpt)) {
+      return res.status(400).json({ error: 'You cannot subscribe to your own GPT' });
+    }
+
+    const pricing = listingPricing(gpt);
+    if (!pricing) {
+      return res.status(400).json({ error: 'This GPT is not available for purchase' });
+    }
+
+    const chargeCurrency = String(currency || pricing.currency).toLowerCase();
+    const chargeInterval = interval || (pricing.prices[chargeCurrency]?.month ? 'month' : 'year');
+    const price = checkoutPrice(pricing, chargeCurrency, chargeInterval);
+    if (price.error) {
+      return res.status(400).json({ error: price.error });
+    }
+
+    const creatorId = gpt.user_id;
+
     // Get creator's Connect account
     const { data: connectAccount, error: connectError } = await supabase
       .from('creator_connect_accounts')
@@ -183,68 +228,72 @@ async function createCustomerSubscription(req, res, { userId, email, gptId, crea
       });
     }
 
-    // Check if customer already subscribed to this GPT
-    const { data: existingSub } = await supabase
+    // Check if customer already subscribed to this GPT, and whether they
+    // had a trial before
+    const { data: previousSubs, error: previousError } = await supabase
       .from('customer_subscriptions')
-      .select('*')
-      .eq('customer_id', userId)
-      .eq('gpt_id', gptId)
-      .eq('status', 'active')
-      .single();
+      .select('status')
+      .eq('customer_id', user.id)
+      .eq('gpt_id', gptId);
 
-    if (existingSub) {
+    if (previousError) throw previousError;
+
+    if ((previousSubs || []).some(sub => ACTIVE_SUBSCRIPTION_STATUSES.includes(sub.status))) {
       return res.status(400).json({ error: 'Already subscribed to this GPT' });
     }
 
-    // Get GPT details
-    const { data: gptData, error: gptError } = await supabase
-      .from('user_gpts')
-      .select('*')
-      .eq('id', gptId)
-      .single();
-
-    if (gptError) {
-      return res.status(400).json({ error: 'GPT not found' });
+    const stripeAccount = { stripeAccount: connectAccount.stripe_account_id };
+
+    let coupon = null;
+    let discounts;
+    if (couponCode) {
+      const found = findCoupon(pricing, couponCode, chargeCurrency);
+      if (found.error) {
+        return res.status(400).json({ error: found.error });
+      }
+      coupon = found.coupon;
+
+      const stripeCoupon = await creatorCoupon(gptId, coupon, stripeAccount);
+      if (!stripeCoupon) {
+        return res.status(400).json({ error: 'This coupon has been used up' });
+      }
+      discounts = [{ coupon: stripeCoupon.id }];
     }
+    const metadata = {
+      userId: user.id,
+      gptId,
+      creatorId,
+      type: 'customer_subscription',
+      ...(coupon ? { couponCode: coupon.code } : {})
+    };
 
     // Create customer on creator's connected account
     const customer = await stripe.customers.create({
-      email,
-      metadata: { userId, gptId, creatorId }
-    }, {
-      stripeAccount: connectAccount.stripe_account_id
-    });
+      email: user.email,
+      metadata: { userId: user.id, gptId, creatorId }
+    }, stripeAccount);
+
+    // One free trial per customer and GPT
+    const trialDays = (previousSubs || []).length === 0 ? pricing.trialDays : 0;
 
-    // Calculate application fee (30% to platform)
-    const applicationFeeAmount = Math.round(monthlyPrice * 100 * 0.30);
+    const priceId = await gptPrice(gpt, chargeCurrency, chargeInterval, price.amount, stripeAccount);
 
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
       customer: customer.id,
       payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: `GPT Access: ${gptData.gpt_data.name}`,
-            description: gptData.gpt_data.description
-          },
-          unit_amount: Math.round(monthlyPrice * 100),
-          recurring: { interval: 'month' }
-        },
-        quantity: 1
-      }],
+      line_items: [{ price: priceId, quantity: 1 }],
       mode: 'subscription',
-      success_url: `${req.headers.origin}?subscription=success&gpt=${gptId}`,
+      ...(discounts ? { discounts } : {}),
+      success_url: `${req.headers.origin}?subscription=success&gpt=${encodeURIComponent(gptId)}`,
       cancel_url: `${req.headers.origin}?subscription=cancelled`,
       subscription_data: {
-        application_fee_percent: 30, // 30% to platform
-        metadata: { userId, gptId, creatorId, type: 'customer_subscription' }
+        application_fee_percent: PLATFORM_FEE_PERCENT,
+        ...(trialDays > 0 ? { trial_period_days: trialDays } : {}),
+        metadata
       },
-      metadata: { userId, gptId, creatorId, type: 'customer_subscription' }
-    }, {
-      stripeAccount: connectAccount.stripe_account_id
-    });
+      metadata
+    }, stripeAccount);
 
     return res.json({ 
       sessionId: session.id, 
@@ -257,6 +306,100 @@ async function createCustomerSubscription(req, res, { userId, email, gptId, crea
   }
 }
 
+// Marketplace GPTs are sold on the creator's connected account as one Stripe
+// Product per GPT with one recurring Price per currency, interval and amount,
+// found again by its lookup_key. When the creator changes a price, new
+// checkouts get a new Price and subscribers keep theirs until they switch plans.
+async function gptPrice(gpt, currency, interval, amount, stripeAccount) {
+  const lookupKey = `gpt_${gpt.id}_${currency}_${interval}_${amount}`;
+
+  const { data: prices } = await stripe.prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 }, stripeAccount);
+  if (prices.length > 0) return prices[0].id;
+
+  const product = await gptProduct(gpt, stripeAccount);
+  const price = await stripe.prices.create({
+    product: product.id,
+    currency,
+    unit_amount: amount,
+    recurring: { interval },
+    lookup_key: lookupKey,
+    // Concurrent checkouts may both create it; either Price bills the same
+    transfer_lookup_key: true,
+    metadata: { gptId: gpt.id }
+  }, stripeAccount);
+
+  return price.id;
+}
+
+// The GPT's Product, named after its current listing
+async function gptProduct(gpt, stripeAccount) {
+  const id = `gpt_${gpt.id}`;
+  const details = {
+    name: `GPT Access: ${gpt.name}`,
+    ...(gpt.description ? { description: gpt.description } : {})
+  };
+
+  try {
+    const product = await stripe.products.retrieve(id, {}, stripeAccount);
+    const current = product.name === details.name && (!details.description || product.description === details.description);
+    if (current) return product;
+    return await stripe.products.update(id, details, stripeAccount);
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error;
+  }
+
+  try {
+    return await stripe.products.create({ id, ...details, metadata: { gptId: gpt.id } }, stripeAccount);
+  } catch (error) {
+    // Another checkout created it first
+    if (error.code !== 'resource_already_exists') throw error;
+    return await stripe.products.retrieve(id, {}, stripeAccount);
+  }
+}
+
+// The Stripe coupon behind a creator's coupon, created on first use and shared
+// by every checkout so Stripe counts redemptions and refuses them past the
+// limit. A coupon whose terms were edited gets a new Stripe coupon, which only
+// allows what the old terms left. Returns null once it can't be redeemed.
+async function creatorCoupon(gptId, coupon, stripeAccount) {
+  const id = stripeCouponId(gptId, coupon);
+
+  try {
+    const existing = await stripe.coupons.retrieve(id, {}, stripeAccount);
+    return existing.valid ? existing : null;
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error;
+  }
+
+  let remaining;
+  if (coupon.maxRedemptions) {
+    const { count: redeemed, error } = await supabase
+      .from('customer_subscriptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('gpt_id', gptId)
+      .eq('coupon_code', coupon.code);
+
+    if (error) throw error;
+
+    remaining = coupon.maxRedemptions - (redeemed || 0);
+    if (remaining <= 0) return null;
+  }
+
+  try {
+    return await stripe.coupons.create({
+      id,
+      ...stripeCouponParams(coupon),
+      ...(remaining ? { max_redemptions: remaining } : {}),
+      metadata: { gptId, code: coupon.code }
+    }, stripeAccount);
+  } catch (error) {
+    // Another checkout created it first
+    if (error.code !== 'resource_already_exists') throw error;
+    const existing = await stripe.coupons.retrieve(id, {}, stripeAccount);
+    return existing.valid ? existing : null;
+  }
+}
+
 // Verify subscription status
 async function verifySubscription(req, res, { subscriptionId, stripeAccountId }) {
   try {
@@ -313,3 +456,308 @@ async function getConnectStatus(req, res, { userId }) {
     throw error;
   }
 }
+
+// Self-service actions below act for the signed-in user (Bearer token) and
+// only on subscriptions that user owns.
+
+async function requireUser(req, res) {
+  const { user, error } = await getUserFromRequest(req, supabase);
+  if (!user) {
+    res.status(401).json({ error });
+    return null;
+  }
+  return user;
+}
+
+// Find one of the user's subscriptions, either a GPT subscription (billed on
+// the creator's connected account) or their creator plan (billed on the
+// platform account)
+async function findUserSubscription(userId, subscriptionId) {
+  if (!subscriptionId) return null;
+
+  const { data: customerSub, error: customerError } = await supabase
+    .from('customer_subscriptions')
+    .select('*')
+    .eq('customer_id', userId)
+    .eq('stripe_subscription_id', subscriptionId)
+    .maybeSingle();
+
+  if (customerError) throw customerError;
+
+  if (customerSub) {
+    let stripeAccount = customerSub.stripe_account_id;
+    if (!stripeAccount) {
+      const { data: connectAccount } = await supabase
+        .from('creator_connect_accounts')
+        .select('stripe_account_id')
+        .eq('user_id', customerSub.creator_id)
+        .maybeSingle();
+      stripeAccount = connectAccount?.stripe_account_id;
+    }
+    return { row: customerSub, table: 'customer_subscriptions', stripeAccount };
+  }
+
+  const { data: creatorSub, error: creatorError } = await supabase
+    .from('creator_subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('stripe_subscription_id', subscriptionId)
+    .maybeSingle();
+
+  if (creatorError) throw creatorError;
+
+  return creatorSub ? { row: creatorSub, table: 'creator_subscriptions', stripeAccount: null } : null;
+}
+
+function stripeOptions(stripeAccount) {
+  return stripeAccount ? { stripeAccount } : undefined;
+}
+
+function describeSubscription(subscription) {
+  return {
+    status: subscription.status,
+    currentPeriodEnd: subscription.current_period_end,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end
+  };
+}
+
+// List the user's GPT subscriptions and creator plan
+async function listMySubscriptions(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { data: customerSubs, error: customerError } = await supabase
+    .from('customer_subscriptions')
+    .select('*')
+    .eq('customer_id', user.id)
+    .order('created_at', { ascending: false });
+
+  if (customerError) throw customerError;
+
+  const gptIds = [...new Set((customerSubs || []).map(sub => sub.gpt_id))];
+  const gpts = {};
+
+  if (gptIds.length > 0) {
+    const { data: rows, error: gptsError } = await supabase
+      .from('user_gpts')
+      .select('id, name:gpt_data->>name, listed, monthly_price, pricing')
+      .in('id', gptIds);
+
+    if (gptsError) throw gptsError;
+    (rows || []).forEach(gpt => { gpts[gpt.id] = gpt; });
+  }
+
+  // The plans a GPT subscription can switch between: the listed monthly and
+  // annual prices in the subscription's currency
+  const plansFor = sub => {
+    const gpt = gpts[sub.gpt_id];
+    const pricing = gpt?.listed ? listingPricing(gpt) : null;
+    const currency = sub.currency || pricing?.currency;
+    return pricing?.prices[currency] ? { currency, ...pricing.prices[currency] } : null;
+  };
+
+  const { data: creatorSubs, error: creatorError } = await supabase
+    .from('creator_subscriptions')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false });
+
+  if (creatorError) throw creatorError;
+
+  const toItem = (sub, extra) => ({
+    subscriptionId: sub.stripe_subscription_id,
+    status: sub.status,
+    currentPeriodEnd: sub.current_period_end,
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+    ...extra
+  });
+
+  return res.json({
+    subscriptions: [
+      ...(creatorSubs || []).map(sub => toItem(sub, { type: 'creator', name: 'Creator Subscription' })),
+      ...(customerSubs || []).map(sub => toItem(sub, {
+        type: 'gpt',
+        gptId: sub.gpt_id,
+        name: gpts[sub.gpt_id]?.name || 'Unavailable GPT',
+        interval: sub.billing_interval || null,
+        plans: plansFor(sub)
+      }))
+    ]
+  });
+}
+
+// What the chat view shows of a GPT the user subscribes to: only the name,
+// description, welcome message and starters of the copy subscribers chat
+// with, never its instructions, files or actions
+async function getSubscribedGPT(req, res, { gptId }) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  if (!gptId) {
+    return res.status(400).json({ error: 'gptId is required' });
+  }
+
+  const { data: subscription, error: subscriptionError } = await supabase
+    .from('customer_subscriptions')
+    .select('id')
+    .eq('customer_id', user.id)
+    .eq('gpt_id', gptId)
+    .in('status', ACTIVE_SUBSCRIPTION_STATUSES)
+    .limit(1)
+    .maybeSingle();
+
+  if (subscriptionError) throw subscriptionError;
+
+  if (!subscription) {
+    return res.status(403).json({ error: 'You need an active subscription to chat with this GPT.' });
+  }
+
+  const { data: gpt, error } = await supabase
+    .from('user_gpts')
+    .select('id, published_version, gpt_data->>name, gpt_data->>description, gpt_data->>welcomeMessage, gpt_data->conversationStarters, ' +
+      'published_name:published_data->>name, published_description:published_data->>description, ' +
+      'published_welcome:published_data->>welcomeMessage, published_starters:published_data->conversationStarters')
+    .eq('id', gptId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  // Subscribers chat with the published copy, so it opens like that one
+  const published = Boolean(gpt.published_version);
+
+  return res.json({
+    gpt: {
+      id: gpt.id,
+      name: (published ? gpt.published_name : gpt.name) || gpt.name,
+      description: (published ? gpt.published_description : gpt.description) || '',
+      welcomeMessage: (published ? gpt.published_welcome : gpt.welcomeMessage) || '',
+      conversationStarters: (published ? gpt.published_starters : gpt.conversationStarters) || []
+    }
+  });
+}
+
+// Cancel at the end of the paid period, or undo that before it ends
+async function setCancelAtPeriodEnd(req, res, { subscriptionId }, cancel) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const found = await findUserSubscription(user.id, subscriptionId);
+  if (!found) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  if (found.row.status === 'canceled') {
+    return res.status(400).json({ error: 'Subscription has already ended' });
+  }
+
+  const subscription = await stripe.subscriptions.update(subscriptionId, {
+    cancel_at_period_end: cancel
+  }, stripeOptions(found.stripeAccount));
+
+  // The webhook brings the rest; this keeps the list accurate until then
+  const { error } = await supabase
+    .from(found.table)
+    .update({ cancel_at_period_end: subscription.cancel_at_period_end, updated_at: new Date().toISOString() })
+    .eq('stripe_subscription_id', subscriptionId);
+
+  if (error) throw error;
+
+  return res.json(describeSubscription(subscription));
+}
+
+// Switch a GPT subscription between the monthly and annual plan the GPT is
+// listed with, in the subscription's currency, prorating the difference
+async function changeSubscriptionPrice(req, res, { subscriptionId, interval }) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const found = await findUserSubscription(user.id, subscriptionId);
+  if (!found || found.table !== 'customer_subscriptions') {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  if (found.row.status === 'canceled') {
+    return res.status(400).json({ error: 'Subscription has already ended' });
+  }
+
+  const { data: gpt, error: gptError } = await supabase
+    .from('user_gpts')
+    .select('id, name, description, listed, monthly_price, pricing')
+    .eq('id', found.row.gpt_id)
+    .maybeSingle();
+
+  if (gptError) throw gptError;
+
+  const pricing = gpt?.listed ? listingPricing(gpt) : null;
+  if (!pricing) {
+    return res.status(400).json({ error: 'This GPT is not available for purchase' });
+  }
+
+  const options = stripeOptions(found.stripeAccount);
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId, {}, options);
+  const item = subscription.items.data[0];
+
+  const price = checkoutPrice(pricing, subscription.currency, interval);
+  if (price.error) {
+    return res.status(400).json({ error: price.error });
+  }
+
+  const priceId = await gptPrice(gpt, subscription.currency, interval, price.amount, options);
+  if (priceId === item.price.id) {
+    return res.json(describeSubscription(subscription));
+  }
+
+  const updated = await stripe.subscriptions.update(subscriptionId, {
+    items: [{ id: item.id, price: priceId }],
+    proration_behavior: 'create_prorations'
+  }, options);
+
+  // The webhook brings the new amount; this keeps the list accurate until then
+  const { error } = await supabase
+    .from('customer_subscriptions')
+    .update({ billing_interval: interval, updated_at: new Date().toISOString() })
+    .eq('stripe_subscription_id', subscriptionId);
+
+  if (error) throw error;
+
+  return res.json(describeSubscription(updated));
+}
+
+// Stripe billing portal for changing cards and viewing invoices. GPT
+// subscriptions open the portal on the creator's connected account; without
+// a subscriptionId the portal is for the user's creator plan.
+async function createPortalSession(req, res, { subscriptionId }) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  let found;
+  if (subscriptionId) {
+    found = await findUserSubscription(user.id, subscriptionId);
+  } else {
+    const { data: creatorSub, error } = await supabase
+      .from('creator_subscriptions')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    found = creatorSub ? { row: creatorSub, stripeAccount: null } : null;
+  }
+
+  if (!found || !found.row.stripe_customer_id) {
+    return res.status(404).json({ error: 'No billing account found' });
+  }
+
+  const session = await stripe.billingPortal.sessions.create({
+    customer: found.row.stripe_customer_id,
+    return_url: `${req.headers.origin}?billing=return`
+  }, stripeOptions(found.stripeAccount));
+
+  return res.json({ url: session.url });
+}
@@ -1,6 +1,7 @@
 // api/stripe-webhooks.js - Handle Stripe webhook events
 import Stripe from 'stripe';
 import { createClient } from '@supabase/supabase-js';
+import { ACTIVE_SUBSCRIPTION_STATUSES, isAdminRequest } from '../lib/auth.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -9,67 +10,56 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Disable body parsing for webhooks
+// Signature verification needs the exact bytes Stripe sent
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '1mb',
-    },
+    bodyParser: false,
   },
 }
 
+// How many failed events one "replay failed" request retries
+const REPLAY_BATCH_SIZE = 50;
+
+// A delivery still 'processing' this long after its claim is taken to have
+// crashed or timed out, and the event can be claimed again. Longer than the
+// function's time limit, so a slow run is never processed twice at once.
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Postgres error code for a duplicate primary key
+const UNIQUE_VIOLATION = '23505';
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const replay = req.query?.replay || new URL(req.url, 'http://localhost').searchParams.get('replay');
+  if (replay) {
+    return await handleReplay(req, res, replay);
+  }
+
   const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
   let event;
 
   try {
-    const body = JSON.stringify(req.body);
-    event = stripe.webhooks.constructEvent(body, sig, endpointSecret);
+    const rawBody = await readRawBody(req);
+    event = verifyEvent(rawBody, sig);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
-      
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object);
-        break;
-      
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
-      
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      
-      case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
-      
-      case 'account.updated':
-        await handleConnectAccountUpdated(event.data.object);
-        break;
-      
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    // The insert is the claim: Stripe may deliver the same event twice at
+    // once, and only one delivery gets to process it
+    const claimed = await claimEvent(event);
+    if (!claimed) {
+      return res.json({ received: true, duplicate: true });
     }
 
+    await runEvent(event);
+
     res.json({ received: true });
   } catch (error) {
     console.error('Error processing webhook:', error);
@@ -77,26 +67,318 @@ export default async function handler(req, res) {
   }
 }
 
-async function handleCheckoutCompleted(session) {
+// Record the event in stripe_events (id is its primary key) and claim it.
+// Resolves false when another delivery already processed or is processing
+// it; failed events, and processing ones whose lease ran out, are claimed
+// again so Stripe's retries can fix them.
+async function claimEvent(event) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('stripe_events')
+    .insert({
+      id: event.id,
+      type: event.type,
+      account: event.account || null,
+      payload: event,
+      event_created: toISO(event.created),
+      status: 'processing',
+      attempts: 1,
+      claimed_at: now,
+      received_at: now
+    });
+
+  if (!error) return true;
+  if (error.code !== UNIQUE_VIOLATION) throw error;
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('stripe_events')
+    .select('status, attempts, claimed_at')
+    .eq('id', event.id)
+    .maybeSingle();
+
+  if (lookupError) throw lookupError;
+  if (!existing || !(existing.status === 'failed' || (existing.status === 'processing' && leaseExpired(existing)))) {
+    return false;
+  }
+
+  // Only one retry wins the claim: the row must still be as it was read
+  let retry = supabase
+    .from('stripe_events')
+    .update({ status: 'processing', attempts: (existing.attempts || 0) + 1, claimed_at: now })
+    .eq('id', event.id)
+    .eq('status', existing.status);
+  retry = existing.claimed_at ? retry.eq('claimed_at', existing.claimed_at) : retry.is('claimed_at', null);
+
+  const { data: retried, error: retryError } = await retry.select('id');
+
+  if (retryError) throw retryError;
+  return (retried || []).length > 0;
+}
+
+function leaseExpired(row) {
+  return !row.claimed_at || Date.parse(row.claimed_at) < Date.now() - PROCESSING_LEASE_MS;
+}
+
+async function readRawBody(req) {
+  // Some runtimes hand over the body already buffered
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body);
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Platform events and Connect events may be signed with different secrets
+function verifyEvent(rawBody, sig) {
+  const secrets = [
+    process.env.STRIPE_WEBHOOK_SECRET,
+    process.env.STRIPE_CONNECT_WEBHOOK_SECRET
+  ].filter(Boolean);
+
+  let lastError = new Error('No webhook secret configured');
+  for (const secret of secrets) {
+    try {
+      return stripe.webhooks.constructEvent(rawBody, sig, secret);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// Process one event and record the outcome in stripe_events. Rethrows so
+// the webhook responds 500 and Stripe retries.
+async function runEvent(event) {
+  try {
+    await processEvent(event);
+
+    const { error } = await supabase
+      .from('stripe_events')
+      .update({ status: 'processed', last_error: null, processed_at: new Date().toISOString() })
+      .eq('id', event.id);
+
+    if (error) throw error;
+  } catch (error) {
+    const { error: logError } = await supabase
+      .from('stripe_events')
+      .update({ status: 'failed', last_error: error.message })
+      .eq('id', event.id);
+
+    if (logError) {
+      console.error('Error marking event failed:', logError);
+    }
+
+    throw error;
+  }
+}
+
+async function processEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(event.data.object, event);
+      break;
+
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object, event);
+      break;
+
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object, event);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object, event);
+      break;
+
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object, event);
+      break;
+
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object, event);
+      break;
+
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object, event);
+      break;
+
+    case 'account.updated':
+      await handleConnectAccountUpdated(event.data.object, event);
+      break;
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
+
+// Admin-only: re-run one stored event (?replay=evt_...) or every failed one,
+// along with those stuck processing past their lease (?replay=failed).
+// Requires the `x-admin-key` header to match ADMIN_API_KEY.
+async function handleReplay(req, res, replay) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let query = supabase
+    .from('stripe_events')
+    .select('id, payload, attempts')
+    .order('event_created', { ascending: true });
+
+  const leaseCutoff = new Date(Date.now() - PROCESSING_LEASE_MS).toISOString();
+  query = replay === 'failed'
+    ? query
+        .in('status', ['failed', 'processing'])
+        .or(`status.eq.failed,claimed_at.lt.${leaseCutoff},claimed_at.is.null`)
+        .limit(REPLAY_BATCH_SIZE)
+    : query.eq('id', replay);
+
+  const { data: events, error } = await query;
+
+  if (error) {
+    console.error('Error loading events to replay:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!events || events.length === 0) {
+    return res.status(404).json({ error: 'No matching events' });
+  }
+
+  const results = [];
+  for (const row of events) {
+    try {
+      const { error: claimError } = await supabase
+        .from('stripe_events')
+        .update({ status: 'processing', attempts: (row.attempts || 0) + 1, claimed_at: new Date().toISOString() })
+        .eq('id', row.id);
+
+      if (claimError) throw claimError;
+
+      await runEvent(row.payload);
+      results.push({ id: row.id, status: 'processed' });
+    } catch (error) {
+      results.push({ id: row.id, status: 'failed', error: error.message });
+    }
+  }
+
+  return res.json({ replayed: results.length, results });
+}
+
+function toISO(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString();
+}
+
+function subscriptionFields(subscription) {
+  const fields = {
+    status: subscription.status,
+    current_period_start: toISO(subscription.current_period_start),
+    current_period_end: toISO(subscription.current_period_end),
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+  };
+
+  // Revenue analytics read the recurring amount and the end date from the
+  // row, My Subscriptions the plan (billing_interval 'month' or 'year')
+  if (subscription.items?.data) {
+    fields.monthly_amount = monthlyAmount(subscription);
+    fields.currency = subscription.currency;
+    fields.billing_interval = subscription.items.data[0]?.price?.recurring?.interval || null;
+  }
+  if (subscription.ended_at) {
+    fields.canceled_at = toISO(subscription.ended_at);
+  }
+
+  return fields;
+}
+
+const MONTHS_PER_INTERVAL = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 };
+
+// Recurring amount of all items normalised to one month, in cents
+function monthlyAmount(subscription) {
+  return Math.round(subscription.items.data.reduce((total, item) => {
+    const recurring = item.price?.recurring;
+    if (!recurring) return total;
+    const months = MONTHS_PER_INTERVAL[recurring.interval] * (recurring.interval_count || 1);
+    return total + (item.price.unit_amount || 0) * (item.quantity || 1) / months;
+  }, 0));
+}
+
+// Apply an update only if no newer event has already been applied to the row.
+// Rows remember the creation time of the last event written in last_event_at.
+async function updateIfNewer(table, column, value, values, event) {
+  const eventTime = toISO(event.created);
+
+  const { data, error } = await supabase
+    .from(table)
+    .update({ ...values, last_event_at: eventTime, updated_at: new Date().toISOString() })
+    .eq(column, value)
+    .or(`last_event_at.is.null,last_event_at.lte."${eventTime}"`)
+    .select('*');
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Keep user_gpts.subscriber_count, which sorts the marketplace, in step with
+// the customer subscriptions that just changed
+async function refreshSubscriberCounts(rows) {
+  const gptIds = [...new Set(rows.map(row => row.gpt_id).filter(Boolean))];
+
+  for (const gptId of gptIds) {
+    const { count, error } = await supabase
+      .from('customer_subscriptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('gpt_id', gptId)
+      .in('status', ACTIVE_SUBSCRIPTION_STATUSES);
+
+    if (error) throw error;
+
+    const { error: updateError } = await supabase
+      .from('user_gpts')
+      .update({ subscriber_count: count || 0 })
+      .eq('id', gptId);
+
+    if (updateError) throw updateError;
+  }
+}
+
+async function handleCheckoutCompleted(session, event) {
   console.log('Checkout completed:', session.id);
-  
+
   const { metadata, customer, subscription } = session;
-  
+  if (!metadata?.type || !subscription) return;
+
+  // Subscription events can arrive before this one, so read the live
+  // subscription instead of assuming it is active
+  const liveSubscription = await stripe.subscriptions.retrieve(
+    subscription,
+    {},
+    event.account ? { stripeAccount: event.account } : undefined
+  );
+  const fields = {
+    ...subscriptionFields(liveSubscription),
+    last_event_at: toISO(event.created),
+    updated_at: new Date().toISOString()
+  };
+
   if (metadata.type === 'creator_subscription') {
     // Handle creator subscription
-    await supabase
+    const { error } = await supabase
       .from('creator_subscriptions')
       .upsert({
         user_id: metadata.userId,
         stripe_customer_id: customer,
         stripe_subscription_id: subscription,
-        status: 'active'
-      });
-    
+        ...fields
+      }, { onConflict: 'stripe_subscription_id' });
+
+    if (error) throw error;
+
     console.log('Creator subscription created for user:', metadata.userId);
   } else if (metadata.type === 'customer_subscription') {
     // Handle customer subscription to GPT
-    await supabase
+    const { error } = await supabase
       .from('customer_subscriptions')
       .upsert({
         customer_id: metadata.userId,
@@ -104,129 +386,201 @@ async function handleCheckoutCompleted(session) {
         creator_id: metadata.creatorId,
         stripe_customer_id: customer,
         stripe_subscription_id: subscription,
-        status: 'active'
-      });
-    
+        stripe_account_id: event.account || null,
+        // Carried over when an edited coupon gets a new Stripe coupon (api/stripe-config.js)
+        coupon_code: metadata.couponCode || null,
+        ...fields
+      }, { onConflict: 'stripe_subscription_id' });
+
+    if (error) throw error;
+
+    await refreshSubscriberCounts([{ gpt_id: metadata.gptId }]);
+
     console.log('Customer subscription created for GPT:', metadata.gptId);
   }
 }
 
-async function handleSubscriptionCreated(subscription) {
+async function handleSubscriptionCreated(subscription, event) {
   console.log('Subscription created:', subscription.id);
-  
-  const { customer, status, current_period_start, current_period_end, metadata } = subscription;
-  
+
+  const { metadata } = subscription;
+  const table = metadata && metadata.type === 'creator_subscription'
+    ? 'creator_subscriptions'
+    : 'customer_subscriptions';
+
   // Update subscription with period information
-  if (metadata && metadata.type === 'creator_subscription') {
-    await supabase
-      .from('creator_subscriptions')
-      .update({
-        status,
-        current_period_start: new Date(current_period_start * 1000).toISOString(),
-        current_period_end: new Date(current_period_end * 1000).toISOString()
-      })
-      .eq('stripe_subscription_id', subscription.id);
-  } else {
-    // Handle customer subscriptions
-    await supabase
-      .from('customer_subscriptions')
-      .update({
-        status,
-        current_period_start: new Date(current_period_start * 1000).toISOString(),
-        current_period_end: new Date(current_period_end * 1000).toISOString()
-      })
-      .eq('stripe_subscription_id', subscription.id);
+  const rows = await updateIfNewer(table, 'stripe_subscription_id', subscription.id, subscriptionFields(subscription), event);
+
+  if (table === 'customer_subscriptions') {
+    await refreshSubscriberCounts(rows);
   }
 }
 
-async function handleSubscriptionUpdated(subscription) {
+async function handleSubscriptionUpdated(subscription, event) {
   console.log('Subscription updated:', subscription.id);
-  
-  const { status, current_period_start, current_period_end } = subscription;
-  
+
+  const fields = subscriptionFields(subscription);
+
   // Update creator subscriptions
-  const { error: creatorError } = await supabase
-    .from('creator_subscriptions')
-    .update({
-      status,
-      current_period_start: new Date(current_period_start * 1000).toISOString(),
-      current_period_end: new Date(current_period_end * 1000).toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq('stripe_subscription_id', subscription.id);
-  
+  const creatorRows = await updateIfNewer('creator_subscriptions', 'stripe_subscription_id', subscription.id, fields, event);
+
   // Update customer subscriptions
-  const { error: customerError } = await supabase
-    .from('customer_subscriptions')
-    .update({
-      status,
-      current_period_start: new Date(current_period_start * 1000).toISOString(),
-      current_period_end: new Date(current_period_end * 1000).toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq('stripe_subscription_id', subscription.id);
-  
-  if (creatorError && customerError) {
-    console.log('Subscription not found in either table:', subscription.id);
+  const customerRows = await updateIfNewer('customer_subscriptions', 'stripe_subscription_id', subscription.id, fields, event);
+
+  if (creatorRows.length === 0 && customerRows.length === 0) {
+    console.log('Subscription not found or already newer in both tables:', subscription.id);
   }
+
+  await refreshSubscriberCounts(customerRows);
 }
 
-async function handleSubscriptionDeleted(subscription) {
+async function handleSubscriptionDeleted(subscription, event) {
   console.log('Subscription deleted:', subscription.id);
-  
+
   // Mark subscriptions as canceled
-  await supabase
-    .from('creator_subscriptions')
-    .update({ status: 'canceled', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', subscription.id);
-  
-  await supabase
-    .from('customer_subscriptions')
-    .update({ status: 'canceled', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', subscription.id);
+  const fields = { status: 'canceled', canceled_at: toISO(subscription.ended_at || event.created) };
+  await updateIfNewer('creator_subscriptions', 'stripe_subscription_id', subscription.id, fields, event);
+  const customerRows = await updateIfNewer('customer_subscriptions', 'stripe_subscription_id', subscription.id, fields, event);
+  await refreshSubscriberCounts(customerRows);
 }
 
-async function handlePaymentFailed(invoice) {
+// Invoices don't say what they did to the subscription (a $0 trial invoice
+// is paid while the subscription stays trialing), so read the subscription
+async function syncInvoiceSubscription(invoice, event) {
+  const subscription = await stripe.subscriptions.retrieve(
+    invoice.subscription,
+    {},
+    event.account ? { stripeAccount: event.account } : undefined
+  );
+  const fields = subscriptionFields(subscription);
+
+  await updateIfNewer('creator_subscriptions', 'stripe_subscription_id', invoice.subscription, fields, event);
+  const customerRows = await updateIfNewer('customer_subscriptions', 'stripe_subscription_id', invoice.subscription, fields, event);
+  await refreshSubscriberCounts(customerRows);
+}
+
+async function handlePaymentFailed(invoice, event) {
   console.log('Payment failed for subscription:', invoice.subscription);
-  
-  // Mark subscriptions as past_due
-  await supabase
-    .from('creator_subscriptions')
-    .update({ status: 'past_due', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', invoice.subscription);
-  
-  await supabase
-    .from('customer_subscriptions')
-    .update({ status: 'past_due', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', invoice.subscription);
+  if (!invoice.subscription) return;
+
+  await syncInvoiceSubscription(invoice, event);
 }
 
-async function handlePaymentSucceeded(invoice) {
+async function handlePaymentSucceeded(invoice, event) {
   console.log('Payment succeeded for subscription:', invoice.subscription);
-  
-  // Mark subscriptions as active if they were past_due
-  await supabase
-    .from('creator_subscriptions')
-    .update({ status: 'active', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', invoice.subscription);
-  
-  await supabase
+  if (!invoice.subscription) return;
+
+  await syncInvoiceSubscription(invoice, event);
+  await recordPayment(invoice, event);
+}
+
+// Revenue ledger. `revenue_ledger` holds one row per GPT payment or refund
+// (stripe_object_id unique, type 'payment'|'refund', gpt_id, creator_id,
+// customer_id, stripe_subscription_id, stripe_invoice_id, gross,
+// platform_fee, net, currency, occurred_at). Amounts are in cents and refunds
+// are negative. Rows are upserted on the Stripe id so replays don't double count.
+async function writeLedger(row) {
+  const { error } = await supabase
+    .from('revenue_ledger')
+    .upsert(row, { onConflict: 'stripe_object_id' });
+
+  if (error) throw error;
+}
+
+// The GPT behind an invoice, from our subscription row or, when the invoice
+// arrives before checkout.session.completed, the subscription metadata
+async function ledgerOwner(subscriptionId, metadata) {
+  const { data: row, error } = await supabase
     .from('customer_subscriptions')
-    .update({ status: 'active', updated_at: new Date().toISOString() })
-    .eq('stripe_subscription_id', invoice.subscription);
+    .select('gpt_id, creator_id, customer_id')
+    .eq('stripe_subscription_id', subscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (row) return row;
+
+  if (metadata?.type === 'customer_subscription' && metadata.gptId) {
+    return { gpt_id: metadata.gptId, creator_id: metadata.creatorId, customer_id: metadata.userId };
+  }
+  return null;
 }
 
-async function handleConnectAccountUpdated(account) {
+async function recordPayment(invoice, event) {
+  // The $19 creator plan is platform revenue, not a GPT sale
+  if (!event.account || !invoice.amount_paid) return;
+
+  const owner = await ledgerOwner(invoice.subscription, invoice.subscription_details?.metadata);
+  if (!owner) {
+    console.log('No GPT subscription for invoice:', invoice.id);
+    return;
+  }
+
+  const platformFee = invoice.application_fee_amount || 0;
+
+  await writeLedger({
+    stripe_object_id: invoice.id,
+    type: 'payment',
+    ...owner,
+    stripe_subscription_id: invoice.subscription,
+    stripe_invoice_id: invoice.id,
+    gross: invoice.amount_paid,
+    platform_fee: platformFee,
+    net: invoice.amount_paid - platformFee,
+    currency: invoice.currency,
+    occurred_at: toISO(invoice.status_transitions?.paid_at || event.created)
+  });
+}
+
+// One ledger row per refund on a GPT payment. The whole refund comes out of
+// the creator's account; the platform keeps its application fee.
+async function handleChargeRefunded(charge, event) {
+  console.log('Charge refunded:', charge.id);
+  if (!event.account || !charge.invoice) return;
+
+  const { data: payment, error } = await supabase
+    .from('revenue_ledger')
+    .select('gpt_id, creator_id, customer_id, stripe_subscription_id')
+    .eq('stripe_object_id', charge.invoice)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payment) {
+    console.log('No ledger payment for refunded invoice:', charge.invoice);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list(
+    { charge: charge.id, limit: 100 },
+    { stripeAccount: event.account }
+  );
+
+  for (const refund of refunds.data) {
+    if (refund.status === 'failed' || refund.status === 'canceled') continue;
+
+    await writeLedger({
+      stripe_object_id: refund.id,
+      type: 'refund',
+      gpt_id: payment.gpt_id,
+      creator_id: payment.creator_id,
+      customer_id: payment.customer_id,
+      stripe_subscription_id: payment.stripe_subscription_id,
+      stripe_invoice_id: charge.invoice,
+      gross: -refund.amount,
+      platform_fee: 0,
+      net: -refund.amount,
+      currency: refund.currency,
+      occurred_at: toISO(refund.created)
+    });
+  }
+}
+
+async function handleConnectAccountUpdated(account, event) {
   console.log('Connect account updated:', account.id);
-  
+
   // Update Connect account status
-  await supabase
-    .from('creator_connect_accounts')
-    .update({
-      charges_enabled: account.charges_enabled,
-      payouts_enabled: account.payouts_enabled,
-      onboarding_complete: account.details_submitted,
-      updated_at: new Date().toISOString()
-    })
-    .eq('stripe_account_id', account.id);
+  await updateIfNewer('creator_connect_accounts', 'stripe_account_id', account.id, {
+    charges_enabled: account.charges_enabled,
+    payouts_enabled: account.payouts_enabled,
+    onboarding_complete: account.details_submitted
+  }, event);
 }
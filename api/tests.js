@@ -0,0 +1,308 @@
+// api/tests.js - Test suites of a GPT and their past runs
+//
+// Only the GPT's owner (or a workspace editor) may use these. Tests live in `gpt_tests` (id, gpt_id,
+// user_id, name, prompt, expectations jsonb, created_at, updated_at) and runs
+// in `gpt_test_runs` (id, gpt_id, user_id, version, models text[], results
+// jsonb, passed, total, created_at). The browser runs a suite by sending each
+// prompt to /api/chat and grading the reply with /api/evaluate.
+//   GET  /api/tests?gptId=           tests and run summaries, newest first
+//   GET  /api/tests?gptId=&runId=    one run with its results
+//   POST { action: 'save_test', gptId, testId?, name, prompt, expectations }
+//   POST { action: 'delete_test', gptId, testId }
+//   POST { action: 'save_run', gptId, version, models, results }
+//   POST { action: 'delete_run', gptId, runId }
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { readExpectations } from '../lib/expectations.js';
+import { loadGPTForRole } from '../lib/workspaces.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_TESTS = 100;
+const MAX_MODELS = 5;
+const MAX_PROMPT_LENGTH = 10000;
+const MAX_OUTPUT_LENGTH = 20000;
+// Older runs are deleted once a GPT has this many
+const MAX_RUNS_KEPT = 50;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const params = req.method === 'GET' ? req.query : req.body;
+
+    const gpt = await loadGPTForRole(supabase, user, params.gptId, 'editor');
+    if (!gpt) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    if (req.method === 'GET') {
+      return params.runId
+        ? await getRun(res, gpt, params.runId)
+        : await listSuite(res, gpt);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'save_test':
+        return await saveTest(res, user, gpt, data);
+      case 'delete_test':
+        return await deleteRow(res, 'gpt_tests', gpt, data.testId, 'Test');
+      case 'save_run':
+        return await saveRun(res, user, gpt, data);
+      case 'delete_run':
+        return await deleteRow(res, 'gpt_test_runs', gpt, data.runId, 'Run');
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Tests API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function listSuite(res, gpt) {
+  const { data: tests, error } = await supabase
+    .from('gpt_tests')
+    .select('id, name, prompt, expectations, created_at, updated_at')
+    .eq('gpt_id', gpt.id)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const { data: runs, error: runsError } = await supabase
+    .from('gpt_test_runs')
+    .select('id, version, models, passed, total, created_at')
+    .eq('gpt_id', gpt.id)
+    .order('created_at', { ascending: false });
+
+  if (runsError) throw runsError;
+
+  return res.json({
+    tests: (tests || []).map(test => ({
+      id: test.id,
+      name: test.name,
+      prompt: test.prompt,
+      expectations: test.expectations || [],
+      updated: test.updated_at || test.created_at
+    })),
+    runs: (runs || []).map(run => ({
+      id: run.id,
+      version: run.version,
+      models: run.models || [],
+      passed: run.passed,
+      total: run.total,
+      created: run.created_at
+    }))
+  });
+}
+
+async function getRun(res, gpt, runId) {
+  const { data: run, error } = await supabase
+    .from('gpt_test_runs')
+    .select('id, version, models, results, passed, total, created_at')
+    .eq('id', runId)
+    .eq('gpt_id', gpt.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  return res.json({
+    run: {
+      id: run.id,
+      version: run.version,
+      models: run.models || [],
+      results: run.results || [],
+      passed: run.passed,
+      total: run.total,
+      created: run.created_at
+    }
+  });
+}
+
+async function saveTest(res, user, gpt, { testId, name, prompt, expectations: list }) {
+  const testName = String(name || '').trim().slice(0, 100);
+  const testPrompt = String(prompt || '').trim();
+
+  if (!testName || !testPrompt) {
+    return res.status(400).json({ error: 'A test needs a name and a prompt' });
+  }
+  if (testPrompt.length > MAX_PROMPT_LENGTH) {
+    return res.status(400).json({ error: `Prompts can be at most ${MAX_PROMPT_LENGTH} characters` });
+  }
+
+  const { expectations, error: expectationsError } = readExpectations(list);
+  if (expectationsError) {
+    return res.status(400).json({ error: expectationsError });
+  }
+
+  const values = { name: testName, prompt: testPrompt, expectations, updated_at: new Date().toISOString() };
+
+  if (testId) {
+    const { data, error } = await supabase
+      .from('gpt_tests')
+      .update(values)
+      .eq('id', testId)
+      .eq('gpt_id', gpt.id)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Test not found' });
+    }
+
+    return res.json({ id: testId });
+  }
+
+  const { count, error: countError } = await supabase
+    .from('gpt_tests')
+    .select('id', { count: 'exact', head: true })
+    .eq('gpt_id', gpt.id);
+
+  if (countError) throw countError;
+
+  if (count >= MAX_TESTS) {
+    return res.status(400).json({ error: `A GPT can have at most ${MAX_TESTS} tests` });
+  }
+
+  const { data: row, error } = await supabase
+    .from('gpt_tests')
+    .insert({
+      gpt_id: gpt.id,
+      user_id: user.id,
+      ...values,
+      created_at: values.updated_at
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return res.json({ id: row.id });
+}
+
+async function deleteRow(res, table, gpt, id, label) {
+  if (!id) {
+    return res.status(404).json({ error: `${label} not found` });
+  }
+
+  const { data, error } = await supabase
+    .from(table)
+    .delete()
+    .eq('id', id)
+    .eq('gpt_id', gpt.id)
+    .select('id');
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: `${label} not found` });
+  }
+
+  return res.json({ success: true });
+}
+
+function wholeNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+// One cell of the results matrix, trimmed to what the UI shows
+function readResult(result) {
+  return {
+    testId: String(result?.testId || ''),
+    testName: String(result?.testName || '').slice(0, 100),
+    model: String(result?.model || '').slice(0, 200),
+    output: String(result?.output || '').slice(0, MAX_OUTPUT_LENGTH),
+    passed: result?.passed === true,
+    error: result?.error ? String(result.error).slice(0, 500) : null,
+    checks: (Array.isArray(result?.checks) ? result.checks : []).slice(0, 10).map(check => ({
+      type: String(check?.type || ''),
+      passed: check?.passed === true,
+      detail: String(check?.detail || '').slice(0, 500)
+    })),
+    usage: {
+      prompt_tokens: wholeNumber(result?.usage?.prompt_tokens),
+      completion_tokens: wholeNumber(result?.usage?.completion_tokens),
+      total_tokens: wholeNumber(result?.usage?.total_tokens)
+    },
+    latencyMs: wholeNumber(result?.latencyMs)
+  };
+}
+
+async function saveRun(res, user, gpt, { version, models, results }) {
+  if (!Array.isArray(models) || models.length === 0 || models.length > MAX_MODELS) {
+    return res.status(400).json({ error: `Runs compare between 1 and ${MAX_MODELS} models` });
+  }
+  if (!Array.isArray(results) || results.length === 0 || results.length > MAX_TESTS * MAX_MODELS) {
+    return res.status(400).json({ error: 'results must list the outcome of each test' });
+  }
+
+  const rows = results.map(readResult);
+
+  const { data: run, error } = await supabase
+    .from('gpt_test_runs')
+    .insert({
+      gpt_id: gpt.id,
+      user_id: user.id,
+      version: version === 'published' ? 'published' : 'draft',
+      models: models.map(model => String(model).slice(0, 200)),
+      results: rows,
+      passed: rows.filter(row => row.passed).length,
+      total: rows.length,
+      created_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  await pruneRuns(gpt);
+
+  return res.json({ id: run.id });
+}
+
+async function pruneRuns(gpt) {
+  const { data: runs, error } = await supabase
+    .from('gpt_test_runs')
+    .select('id')
+    .eq('gpt_id', gpt.id)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const stale = (runs || []).slice(MAX_RUNS_KEPT).map(run => run.id);
+  if (stale.length === 0) return;
+
+  const { error: deleteError } = await supabase
+    .from('gpt_test_runs')
+    .delete()
+    .in('id', stale);
+
+  if (deleteError) throw deleteError;
+}
@@ -0,0 +1,241 @@
+// api/transcripts.js - Read-only share links of a conversation
+//
+// A share is a snapshot of a saved conversation taken when the link is
+// created, so later messages stay private. It lives in `conversation_shares`
+// (id, conversation_id, user_id, token, title, gpt_name, messages jsonb,
+// revoked, created_at). Only the visible messages are copied: role, text,
+// time, model and web citations, never the GPT's instructions, knowledge
+// file contents, tool output or attached images (only how many there were).
+//   GET  /api/transcripts?token=            public: the shared transcript
+//   GET  /api/transcripts?conversationId=   owner: the conversation's active links
+//   POST { action: 'create', conversationId }
+//   POST { action: 'revoke', shareId }
+//   POST { action: 'revoke_all', conversationId }   before deleting a conversation
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { generateShareToken } from '../lib/shares.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_MESSAGES = 500;
+const MAX_MESSAGE_LENGTH = 50000;
+const MAX_LINKS_PER_CONVERSATION = 10;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'GET' && req.query.token) {
+      return await getTranscript(res, req.query.token);
+    }
+
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (req.method === 'GET') {
+      return await listLinks(res, user, req.query.conversationId);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'create':
+        return await createLink(res, user, data);
+      case 'revoke':
+        return await revokeLink(res, user, data);
+      case 'revoke_all':
+        return await revokeAllLinks(res, user, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Transcripts API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function getTranscript(res, token) {
+  const { data: share, error } = await supabase
+    .from('conversation_shares')
+    .select('title, gpt_name, messages, created_at')
+    .eq('token', String(token))
+    .eq('revoked', false)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!share) {
+    return res.status(404).json({ error: 'This transcript is no longer shared' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.json({
+    title: share.title,
+    gptName: share.gpt_name,
+    sharedAt: share.created_at,
+    messages: share.messages || []
+  });
+}
+
+function toLink(row) {
+  return {
+    id: row.id,
+    token: row.token,
+    messageCount: (row.messages || []).length,
+    created: row.created_at
+  };
+}
+
+async function listLinks(res, user, conversationId) {
+  if (!conversationId) {
+    return res.status(400).json({ error: 'conversationId is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('conversation_shares')
+    .select('id, token, messages, created_at')
+    .eq('conversation_id', conversationId)
+    .eq('user_id', user.id)
+    .eq('revoked', false)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  return res.json({ links: (data || []).map(toLink) });
+}
+
+// The part of a saved message that is safe to show anyone with the link
+function publicMessage(message) {
+  return {
+    role: message.role,
+    content: String(message.content || '').slice(0, MAX_MESSAGE_LENGTH),
+    imageCount: Array.isArray(message.images) ? message.images.length : 0,
+    createdAt: message.createdAt || null,
+    model: message.role === 'assistant' ? message.model || null : null,
+    webCitations: (Array.isArray(message.webCitations) ? message.webCitations : [])
+      .filter(citation => /^https?:\/\//.test(citation?.url || ''))
+      .map(citation => ({ label: String(citation.label || ''), title: String(citation.title || ''), url: citation.url }))
+  };
+}
+
+async function createLink(res, user, { conversationId }) {
+  if (!conversationId) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('id, gpt_id, title, messages')
+    .eq('id', conversationId)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const messages = (conversation.messages || [])
+    .filter(message => (message.role === 'user' || message.role === 'assistant') && (message.content || message.images?.length))
+    .slice(-MAX_MESSAGES)
+    .map(publicMessage);
+
+  if (messages.length === 0) {
+    return res.status(400).json({ error: 'There is nothing to share in this conversation yet' });
+  }
+
+  const { count, error: countError } = await supabase
+    .from('conversation_shares')
+    .select('id', { count: 'exact', head: true })
+    .eq('conversation_id', conversation.id)
+    .eq('revoked', false);
+
+  if (countError) throw countError;
+
+  if (count >= MAX_LINKS_PER_CONVERSATION) {
+    return res.status(400).json({ error: `A conversation can have at most ${MAX_LINKS_PER_CONVERSATION} active links; revoke one first` });
+  }
+
+  const { data: gpt, error: gptError } = await supabase
+    .from('user_gpts')
+    .select('gpt_data, published_data')
+    .eq('id', conversation.gpt_id)
+    .maybeSingle();
+
+  if (gptError) throw gptError;
+
+  const { data: row, error: insertError } = await supabase
+    .from('conversation_shares')
+    .insert({
+      conversation_id: conversation.id,
+      user_id: user.id,
+      token: generateShareToken(),
+      title: String(conversation.title || 'Chat').slice(0, 200),
+      gpt_name: (gpt?.published_data || gpt?.gpt_data)?.name || 'GPT',
+      messages,
+      revoked: false,
+      created_at: new Date().toISOString()
+    })
+    .select('id, token, messages, created_at')
+    .single();
+
+  if (insertError) throw insertError;
+
+  return res.json({ link: toLink(row) });
+}
+
+async function revokeLink(res, user, { shareId }) {
+  if (!shareId) {
+    return res.status(404).json({ error: 'Link not found' });
+  }
+
+  const { data, error } = await supabase
+    .from('conversation_shares')
+    .update({ revoked: true })
+    .eq('id', shareId)
+    .eq('user_id', user.id)
+    .select('id');
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Link not found' });
+  }
+
+  return res.json({ success: true });
+}
+
+async function revokeAllLinks(res, user, { conversationId }) {
+  if (!conversationId) {
+    return res.status(400).json({ error: 'conversationId is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('conversation_shares')
+    .update({ revoked: true })
+    .eq('conversation_id', conversationId)
+    .eq('user_id', user.id)
+    .eq('revoked', false)
+    .select('id');
+
+  if (error) throw error;
+
+  return res.json({ revoked: (data || []).length });
+}
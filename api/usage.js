@@ -0,0 +1,89 @@
+// api/usage.js - Token usage per GPT for the creator dashboard
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { resolvePlan, getMonthlyUsage, PLAN_QUOTAS } from '../lib/usage.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: gpts, error: gptsError } = await supabase
+      .from('user_gpts')
+      .select('id, gpt_data')
+      .eq('user_id', user.id);
+
+    if (gptsError) throw gptsError;
+
+    const gptIds = (gpts || []).map(gpt => gpt.id);
+    let rows = [];
+
+    if (gptIds.length > 0) {
+      const { data, error } = await supabase
+        .from('chat_usage')
+        .select('gpt_id, user_id, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, latency_ms, status')
+        .in('gpt_id', gptIds)
+        .gte('created_at', since);
+
+      if (error) throw error;
+      rows = data || [];
+    }
+
+    // Consumption by everyone chatting with each of the creator's GPTs
+    const perGpt = (gpts || []).map(gpt => {
+      const gptRows = rows.filter(row => row.gpt_id === gpt.id);
+      return {
+        gptId: gpt.id,
+        name: gpt.gpt_data.name,
+        calls: gptRows.length,
+        errors: gptRows.filter(row => row.status === 'error').length,
+        users: new Set(gptRows.map(row => row.user_id)).size,
+        promptTokens: gptRows.reduce((sum, row) => sum + (row.prompt_tokens || 0), 0),
+        completionTokens: gptRows.reduce((sum, row) => sum + (row.completion_tokens || 0), 0),
+        costUsd: gptRows.reduce((sum, row) => sum + Number(row.cost_usd || 0), 0),
+        avgLatencyMs: gptRows.length
+          ? Math.round(gptRows.reduce((sum, row) => sum + (row.latency_ms || 0), 0) / gptRows.length)
+          : 0
+      };
+    });
+
+    // The caller's own quota on their current plan
+    const plan = await resolvePlan(supabase, user, 'owner');
+
+    return res.json({
+      days,
+      gpts: perGpt,
+      quota: {
+        plan,
+        used: await getMonthlyUsage(supabase, user.id),
+        limit: PLAN_QUOTAS[plan]
+      }
+    });
+  } catch (error) {
+    console.error('Usage API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,295 @@
+// api/v1/chat/completions.js - OpenAI-compatible chat completions for a GPT
+//
+//   POST /api/v1/chat/completions
+//   Authorization: Bearer <API key from /api/api-keys>
+//   { model: <GPT id>, messages, stream, stream_options, temperature, top_p, max_tokens }
+//
+// The GPT's instructions, knowledge, tools and model settings are applied
+// here exactly as in /api/chat; callers' system messages and tool definitions
+// are ignored. temperature and top_p override the GPT's settings, and
+// max_tokens can only lower its limit. Everyone gets the published version;
+// owners may send `version: 'draft'` to test their draft. Marketplace GPTs
+// need an active subscription, and usage counts against the key owner's quota.
+// Messages and replies blocked by the GPT's guardrails (lib/guardrails.js)
+// come back as its refusal with finish_reason `content_filter`; a streamed
+// reply can't be taken back, so it only ends with that finish_reason.
+// GPTs with an output schema (lib/structured-output.js) answer in JSON;
+// non-streamed replies are checked against it and retried once.
+import { createClient } from '@supabase/supabase-js';
+import { startSSE, writeSSEData } from '../../../lib/sse.js';
+import { sanitizeHistory, trimHistory } from '../../../lib/history.js';
+import { authorizeGPTAccess } from '../../../lib/auth.js';
+import { getUserFromApiKey } from '../../../lib/api-keys.js';
+import { resolvePlan, checkQuota, finishMeter } from '../../../lib/usage.js';
+import { checkRateLimit, getClientIp, RATE_LIMITS } from '../../../lib/rate-limit.js';
+import { runCompletion } from '../../../lib/completion.js';
+import { configuredProviders } from '../../../lib/providers.js';
+import { servedGPTData } from '../../../lib/versions.js';
+import { buildCompletion } from '../../../lib/prompt.js';
+import { applyCors } from '../../../lib/cors.js';
+import { sendError, completionId, toChatMessages, formatUsage } from '../../../lib/openai-compat.js';
+import { checkHistory, checkOutput, refusalMessage, logGuardrailEvent } from '../../../lib/guardrails.js';
+import { outputSchema, runStructuredCompletion } from '../../../lib/structured-output.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(res, 405, 'Method not allowed');
+  }
+
+  // Set once the upstream call starts so failures are metered too
+  let meter = null;
+
+  try {
+    const ipLimit = checkRateLimit(`ip:${getClientIp(req)}`, RATE_LIMITS.ip);
+    if (!ipLimit.allowed) {
+      res.setHeader('Retry-After', ipLimit.retryAfter);
+      return sendError(res, 429, 'Too many requests, please slow down', 'rate_limit_exceeded');
+    }
+
+    const { user, apiKey, error: authError } = await getUserFromApiKey(req, supabase);
+    if (!user) {
+      return sendError(res, 401, authError, 'invalid_api_key');
+    }
+
+    const userLimit = checkRateLimit(`user:${user.id}`, RATE_LIMITS.user);
+    if (!userLimit.allowed) {
+      res.setHeader('Retry-After', userLimit.retryAfter);
+      return sendError(res, 429, 'Too many requests, please slow down', 'rate_limit_exceeded');
+    }
+
+    if (configuredProviders().length === 0) {
+      console.error('No model provider configured (set OPENROUTER_API_KEY, OPENAI_API_KEY or LOCAL_LLM_BASE_URL)');
+      return sendError(res, 500, 'No model provider configured');
+    }
+
+    const { model: gptId, messages, stream = false, stream_options: streamOptions, version } = req.body || {};
+
+    if (!gptId || typeof gptId !== 'string') {
+      return sendError(res, 400, 'model must be the id of a GPT', 'invalid_model');
+    }
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return sendError(res, 400, 'messages must be a non-empty array');
+    }
+
+    const authorized = await authorizeGPTAccess(supabase, user, gptId);
+    if (!authorized.gpt) {
+      const code = authorized.status === 404 ? 'model_not_found'
+        : authorized.status === 402 ? 'subscription_required'
+        : null;
+      return sendError(res, authorized.status, authorized.error, code);
+    }
+    const { gpt, access } = authorized;
+
+    // Enforce the monthly token quota before spending anything upstream
+    const plan = await resolvePlan(supabase, user, access);
+    const quota = await checkQuota(supabase, user, plan, gpt.id);
+    if (!quota.allowed) {
+      res.setHeader('Retry-After', quota.retryAfter);
+      return sendError(res, 429, `Monthly usage quota exceeded: the ${plan} plan includes ${quota.limit.toLocaleString()} tokens per month`, 'insufficient_quota');
+    }
+
+    // Keep the conversation within the model's context budget
+    const history = trimHistory(sanitizeHistory(toChatMessages(messages)));
+
+    if (history.messages.length === 0 || history.messages[history.messages.length - 1].role !== 'user') {
+      return sendError(res, 400, 'The last message must be a non-empty user message');
+    }
+
+    const gptData = servedGPTData(gpt, access, version === 'draft' ? 'draft' : 'published');
+
+    const reply = {
+      id: completionId(),
+      created: Math.floor(Date.now() / 1000),
+      model: gpt.id
+    };
+
+    const guard = { gptId: gpt.id, userId: user.id, apiKeyId: apiKey.id };
+    // Callers send the whole history, so every turn is checked
+    const blocked = await checkHistory(gptData, history.messages);
+
+    if (blocked) {
+      await logGuardrailEvent(supabase, { ...guard, stage: 'input', ...blocked });
+      return sendRefusal(res, stream, reply, refusalMessage(gptData));
+    }
+
+    const reviewReply = async (message) => {
+      const flagged = await checkOutput(gptData, message);
+      if (!flagged) return null;
+      await logGuardrailEvent(supabase, { ...guard, stage: 'output', ...flagged, excerpt: message });
+      return refusalMessage(gptData);
+    };
+
+    const { completion, model, promptTokens } = await buildCompletion(supabase, {
+      gpt,
+      gptData,
+      history,
+      referer: req.headers.origin
+    });
+
+    applySamplingOverrides(completion.payload, req.body);
+
+    meter = {
+      userId: user.id,
+      gptId: gpt.id,
+      apiKeyId: apiKey.id,
+      model,
+      startedAt: Date.now(),
+      promptTokens
+    };
+
+    if (stream) {
+      const result = await streamReply(res, completion, reply, reviewReply);
+      const usage = await finishMeter(supabase, meter, result);
+      if (result.status === 'success' && streamOptions?.include_usage) {
+        writeSSEData(res, { ...reply, object: 'chat.completion.chunk', choices: [], usage: formatUsage(usage) });
+      }
+      if (result.status === 'success') writeSSEData(res, '[DONE]');
+      res.end();
+      return;
+    }
+
+    const schema = outputSchema(gptData);
+    const result = schema
+      ? await runStructuredCompletion(completion, schema)
+      : await runCompletion(completion);
+    const usage = await finishMeter(supabase, meter, { ...result, status: 'success' });
+    const refusal = await reviewReply(result.message);
+
+    return res.status(200).json({
+      ...reply,
+      object: 'chat.completion',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: refusal || result.message },
+        finish_reason: refusal ? 'content_filter' : 'stop'
+      }],
+      usage: formatUsage(usage)
+    });
+
+  } catch (error) {
+    if (meter) await finishMeter(supabase, meter, { status: 'error' });
+
+    console.error('Completions API Error:', {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    return sendError(res, 500, `Failed to process chat request: ${error.message}`);
+  }
+}
+
+function numberInRange(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
+// The caller may tune sampling, but never raise the GPT's output limit
+function applySamplingOverrides(payload, body) {
+  if (numberInRange(body.temperature, 0, 2)) payload.temperature = body.temperature;
+  if (numberInRange(body.top_p, 0, 1)) payload.top_p = body.top_p;
+
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (Number.isInteger(maxTokens) && maxTokens > 0) {
+    payload.max_tokens = Math.min(maxTokens, payload.max_tokens);
+  }
+}
+
+function completionChunk(reply, delta, finishReason = null) {
+  return {
+    ...reply,
+    object: 'chat.completion.chunk',
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+// Answer a blocked message with the refusal, as a completion or a stream
+function sendRefusal(res, stream, reply, message) {
+  if (!stream) {
+    return res.status(200).json({
+      ...reply,
+      object: 'chat.completion',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: message },
+        finish_reason: 'content_filter'
+      }],
+      usage: formatUsage({})
+    });
+  }
+
+  startSSE(res);
+  writeSSEData(res, completionChunk(reply, { role: 'assistant', content: message }));
+  writeSSEData(res, completionChunk(reply, {}, 'content_filter'));
+  writeSSEData(res, '[DONE]');
+  res.end();
+}
+
+// Relay the reply as OpenAI `chat.completion.chunk` events. Errors after the
+// stream started are sent as a final `{ error }` event. `reviewReply` checks
+// the finished message; a blocked one ends with finish_reason
+// `content_filter`. Resolves with what was streamed so the caller can meter
+// it; the caller ends the response.
+async function streamReply(res, completion, reply, reviewReply) {
+  // Abort the upstream request if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const chunk = (delta, finishReason = null) => completionChunk(reply, delta, finishReason);
+
+  startSSE(res);
+  writeSSEData(res, chunk({ role: 'assistant', content: '' }));
+
+  let streamed = '';
+
+  try {
+    const result = await runCompletion({
+      ...completion,
+      stream: true,
+      signal: controller.signal,
+      onDelta: (content) => {
+        streamed += content;
+        writeSSEData(res, chunk({ content }));
+      }
+    });
+
+    const refusal = await reviewReply(result.message);
+    writeSSEData(res, chunk({}, refusal ? 'content_filter' : 'stop'));
+
+    return { ...result, status: 'success' };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return { message: streamed, status: 'aborted' };
+    }
+
+    console.error('Completions stream error:', {
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    writeSSEData(res, {
+      error: {
+        message: `Failed to process chat request: ${error.message}`,
+        type: 'server_error',
+        code: null
+      }
+    });
+
+    return { message: streamed, status: 'error' };
+  }
+}
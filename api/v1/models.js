@@ -0,0 +1,107 @@
+// api/v1/models.js - OpenAI-compatible list of the GPTs an API key can use
+//
+//   GET /api/v1/models
+//   Authorization: Bearer <API key>
+// Lists the key owner's own GPTs, the GPTs of their workspaces and the
+// marketplace GPTs they subscribe to.
+// The ids are what /api/v1/chat/completions expects as `model`.
+import { createClient } from '@supabase/supabase-js';
+import { ACTIVE_SUBSCRIPTION_STATUSES } from '../../lib/auth.js';
+import { getUserFromApiKey } from '../../lib/api-keys.js';
+import { applyCors } from '../../lib/cors.js';
+import { sendError } from '../../lib/openai-compat.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'Method not allowed');
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromApiKey(req, supabase);
+    if (!user) {
+      return sendError(res, 401, authError, 'invalid_api_key');
+    }
+
+    const { data: owned, error: ownedError } = await supabase
+      .from('user_gpts')
+      .select('id, gpt_data->>name, created_at')
+      .eq('user_id', user.id)
+      .is('workspace_id', null);
+
+    if (ownedError) throw ownedError;
+
+    const { data: memberships, error: membershipsError } = await supabase
+      .from('workspace_members')
+      .select('workspace_id')
+      .eq('user_id', user.id);
+
+    if (membershipsError) throw membershipsError;
+
+    let team = [];
+    if ((memberships || []).length > 0) {
+      const { data, error } = await supabase
+        .from('user_gpts')
+        .select('id, published_name:published_data->>name, gpt_data->>name, created_at')
+        .in('workspace_id', memberships.map(row => row.workspace_id));
+
+      if (error) throw error;
+      team = data || [];
+    }
+
+    const { data: subscriptions, error: subscriptionsError } = await supabase
+      .from('customer_subscriptions')
+      .select('gpt_id')
+      .eq('customer_id', user.id)
+      .in('status', ACTIVE_SUBSCRIPTION_STATUSES);
+
+    if (subscriptionsError) throw subscriptionsError;
+
+    const ownedIds = new Set([...(owned || []), ...team].map(gpt => gpt.id));
+    const subscribedIds = [...new Set((subscriptions || []).map(row => row.gpt_id))]
+      .filter(id => !ownedIds.has(id));
+    let subscribed = [];
+
+    if (subscribedIds.length > 0) {
+      const { data, error } = await supabase
+        .from('user_gpts')
+        .select('id, published_name:published_data->>name, gpt_data->>name, created_at')
+        .in('id', subscribedIds);
+
+      if (error) throw error;
+      subscribed = data || [];
+    }
+
+    const model = (gpt, ownedBy) => ({
+      id: gpt.id,
+      object: 'model',
+      created: Math.floor(new Date(gpt.created_at).getTime() / 1000),
+      owned_by: ownedBy,
+      name: gpt.published_name || gpt.name
+    });
+
+    return res.json({
+      object: 'list',
+      data: [
+        ...(owned || []).map(gpt => model(gpt, 'you')),
+        ...team.map(gpt => model(gpt, 'workspace')),
+        ...subscribed.map(gpt => model(gpt, 'marketplace'))
+      ]
+    });
+  } catch (error) {
+    console.error('Models API Error:', error);
+    return sendError(res, 500, error.message);
+  }
+}
@@ -0,0 +1,320 @@
+// api/versions.js - GPT version history, publishing and rollback
+//
+// Only the GPT's owner (or a workspace editor) may use these. Versions are
+// numbered per GPT from 1 and never change once written;
+// user_gpts.latest_version and published_version point into them (see
+// lib/versions.js for how drafts are served). Publishing also updates the
+// marketplace columns, and changes to workspace GPTs go to its audit log.
+//   GET  /api/versions?gptId=            history, newest first
+//   GET  /api/versions?gptId=&version=N  one version with its GPT data
+//   POST { action: 'save', gptId, gptData, note, publish }
+//   POST { action: 'publish', gptId, version }   without a version: the latest
+//   POST { action: 'rollback', gptId, version }
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { displayNames, teammates } from '../lib/users.js';
+import { readGuardrailSettings } from '../lib/guardrails.js';
+import { readStarterSettings } from '../lib/starters.js';
+import { readOutputSchema } from '../lib/structured-output.js';
+import { readPricing, listedMonthlyPrice } from '../lib/pricing.js';
+import { listingColumns } from '../lib/versions.js';
+import { withContentHashes, ensureIndexed } from '../lib/knowledge.js';
+import { loadGPTForRole, logAudit } from '../lib/workspaces.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_NOTE_LENGTH = 200;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    const params = req.method === 'GET' ? req.query : req.body;
+
+    const gpt = await loadGPTForRole(supabase, user, params.gptId, 'editor', 'gpt_data, latest_version, published_version');
+    if (!gpt) {
+      return res.status(404).json({ error: 'GPT not found' });
+    }
+
+    if (req.method === 'GET') {
+      return params.version
+        ? await getVersion(res, gpt, params.version)
+        : await listVersions(res, user, gpt);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'save':
+        return await saveVersion(res, user, gpt, data);
+      case 'publish':
+        return await publishVersion(res, user, gpt, data);
+      case 'rollback':
+        return await rollbackVersion(res, user, gpt, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Versions API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+async function findVersion(gptId, version) {
+  const number = parseInt(version, 10);
+  if (!Number.isInteger(number)) return null;
+
+  const { data, error } = await supabase
+    .from('gpt_versions')
+    .select('id, version, gpt_data, author_id, note, created_at')
+    .eq('gpt_id', gptId)
+    .eq('version', number)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listVersions(res, user, gpt) {
+  const { data: rows, error } = await supabase
+    .from('gpt_versions')
+    .select('version, author_id, note, created_at')
+    .eq('gpt_id', gpt.id)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  const authorIds = (rows || []).map(row => row.author_id);
+  // Versions of a workspace GPT may be written by any of its editors
+  const authors = gpt.workspace_id
+    ? Object.fromEntries(Object.entries(await teammates(supabase, authorIds)).map(([id, person]) => [id, person.name]))
+    : await displayNames(supabase, authorIds);
+
+  return res.json({
+    latestVersion: gpt.latest_version || null,
+    publishedVersion: gpt.published_version || null,
+    versions: (rows || []).map(row => ({
+      version: row.version,
+      note: row.note || '',
+      author: authors[row.author_id] || (row.author_id === user.id ? 'You' : 'A former member'),
+      created: row.created_at
+    }))
+  });
+}
+
+async function getVersion(res, gpt, version) {
+  const row = await findVersion(gpt.id, version);
+  if (!row) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  return res.json({
+    version: row.version,
+    note: row.note || '',
+    created: row.created_at,
+    gptData: row.gpt_data
+  });
+}
+
+// Append a version. Concurrent saves of the same GPT collide on the
+// (gpt_id, version) unique key rather than overwriting each other.
+async function insertVersion(gpt, user, gptData, note) {
+  const version = (gpt.latest_version || 0) + 1;
+
+  const { error } = await supabase
+    .from('gpt_versions')
+    .insert({
+      gpt_id: gpt.id,
+      version,
+      gpt_data: gptData,
+      author_id: user.id,
+      note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH) || null,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+
+  gpt.latest_version = version;
+  return version;
+}
+
+async function updateGPT(gpt, values) {
+  const { error } = await supabase
+    .from('user_gpts')
+    .update(values)
+    .eq('id', gpt.id);
+
+  if (error) throw error;
+}
+
+// Save the draft as a new version, optionally publishing it
+async function saveVersion(res, user, gpt, { gptData, note, publish = false }) {
+  if (!gptData || typeof gptData !== 'object' || Array.isArray(gptData)) {
+    return res.status(400).json({ error: 'gptData is required' });
+  }
+
+  if (gptData.guardrails) {
+    const { guardrails, error } = readGuardrailSettings(gptData.guardrails);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    gptData = { ...gptData, guardrails };
+  }
+
+  const starters = readStarterSettings(gptData);
+  if (starters.error) {
+    return res.status(400).json({ error: starters.error });
+  }
+
+  const { outputSchema, error: schemaError } = readOutputSchema(gptData.outputSchema);
+  if (schemaError) {
+    return res.status(400).json({ error: schemaError });
+  }
+
+  const { pricing, error: pricingError } = readPricing(gptData);
+  if (pricingError) {
+    return res.status(400).json({ error: pricingError });
+  }
+  if (gptData.forSale && Object.keys(pricing.prices).length === 0) {
+    return res.status(400).json({ error: 'Set a price to list the GPT on the marketplace' });
+  }
+
+  gptData = {
+    ...gptData,
+    welcomeMessage: starters.welcomeMessage,
+    conversationStarters: starters.conversationStarters,
+    outputSchema,
+    pricing,
+    monthlyPrice: listedMonthlyPrice(pricing),
+    ...(Array.isArray(gptData.files) ? { files: withContentHashes(gptData.files) } : {})
+  };
+
+  // GPTs created before versioning keep serving what subscribers already had
+  if (!publish) {
+    await publishBaseline(gpt, user);
+  }
+
+  // The browser indexed the files before saving; make sure subscribers get them
+  if (publish) {
+    await ensureIndexed(supabase, { gptId: gpt.id, userId: user.id, gptData });
+  }
+
+  const version = await insertVersion(gpt, user, gptData, note);
+
+  await updateGPT(gpt, {
+    gpt_data: gptData,
+    latest_version: version,
+    ...(publish ? { published_version: version, published_data: gptData, ...listingColumns(gptData) } : {})
+  });
+
+  await logAudit(supabase, {
+    workspaceId: gpt.workspace_id,
+    gptId: gpt.id,
+    actorId: user.id,
+    action: publish ? 'gpt.published' : 'gpt.saved',
+    details: { name: gptData.name, version, note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH) }
+  });
+
+  return res.json({
+    version,
+    publishedVersion: publish ? version : gpt.published_version
+  });
+}
+
+// A GPT saved before versions were kept gets its gpt_data as the first
+// version, published, so it has a history and a listing
+async function publishBaseline(gpt, user) {
+  if (gpt.published_version || !gpt.gpt_data) return;
+
+  const baseline = await insertVersion(gpt, user, gpt.gpt_data, 'Version before history was kept');
+  await updateGPT(gpt, {
+    published_version: baseline,
+    published_data: gpt.gpt_data,
+    latest_version: baseline,
+    ...listingColumns(gpt.gpt_data)
+  });
+  gpt.published_version = baseline;
+}
+
+async function publishVersion(res, user, gpt, { version }) {
+  await publishBaseline(gpt, user);
+
+  const row = await findVersion(gpt.id, version ?? gpt.latest_version);
+  if (!row) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  // Its files may have been pruned since it was last published
+  await ensureIndexed(supabase, { gptId: gpt.id, userId: user.id, gptData: row.gpt_data });
+
+  await updateGPT(gpt, {
+    published_version: row.version,
+    published_data: row.gpt_data,
+    ...listingColumns(row.gpt_data)
+  });
+
+  await logAudit(supabase, {
+    workspaceId: gpt.workspace_id,
+    gptId: gpt.id,
+    actorId: user.id,
+    action: 'gpt.published',
+    details: { name: row.gpt_data?.name, version: row.version }
+  });
+
+  return res.json({ publishedVersion: row.version });
+}
+
+// Restore an old version as a new one and publish it straight away. The
+// draft is replaced too, so the next edit starts from the restored copy.
+async function rollbackVersion(res, user, gpt, { version }) {
+  const row = await findVersion(gpt.id, version);
+  if (!row) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  // Versions saved before files carried a hash get one now, and texts pruned
+  // since are indexed again before subscribers are switched over
+  const gptData = Array.isArray(row.gpt_data.files)
+    ? { ...row.gpt_data, files: withContentHashes(row.gpt_data.files) }
+    : row.gpt_data;
+  await ensureIndexed(supabase, { gptId: gpt.id, userId: user.id, gptData });
+
+  const restored = await insertVersion(gpt, user, gptData, `Rolled back to version ${row.version}`);
+
+  await updateGPT(gpt, {
+    gpt_data: gptData,
+    ...listingColumns(gptData),
+    latest_version: restored,
+    published_version: restored,
+    published_data: gptData
+  });
+
+  await logAudit(supabase, {
+    workspaceId: gpt.workspace_id,
+    gptId: gpt.id,
+    actorId: user.id,
+    action: 'gpt.rolled_back',
+    details: { name: gptData.name, version: restored, from: row.version }
+  });
+
+  return res.json({ version: restored, publishedVersion: restored, gptData });
+}
@@ -0,0 +1,811 @@
+// api/workspaces.js - Team workspaces, their members, invitations and audit log
+//
+// See lib/workspaces.js for the tables and roles. Invitations live in
+// `workspace_invitations` (id, workspace_id, email, role, token, invited_by,
+// accepted_by, accepted_at, revoked, expires_at, created_at) and can only be
+// accepted by a signed-in user with the invited email.
+//   GET  /api/workspaces                        my workspaces, their GPTs and invitations for me
+//   GET  /api/workspaces?workspaceId=           members, invitations and billing
+//   GET  /api/workspaces?workspaceId=&audit=1&page=1   audit log, newest first
+//   GET  /api/workspaces?gptId=                 a GPT I can see, with my role on it
+//   POST { action: 'create', name }
+//   POST { action: 'rename', workspaceId, name }
+//   POST { action: 'delete', workspaceId }              once it has no GPTs
+//   POST { action: 'invite', workspaceId, email, role }
+//   POST { action: 'revoke_invitation', invitationId }
+//   POST { action: 'accept_invitation', token }
+//   POST { action: 'set_role', workspaceId, userId, role }
+//   POST { action: 'remove_member', workspaceId, userId }
+//   POST { action: 'leave', workspaceId }
+//   POST { action: 'move_gpt', gptId, workspaceId }     workspaceId null returns it to its creator
+//   POST { action: 'delete_gpt', gptId }
+import { createClient } from '@supabase/supabase-js';
+import { getUserFromRequest, ACTIVE_SUBSCRIPTION_STATUSES } from '../lib/auth.js';
+import { teammates } from '../lib/users.js';
+import { generateShareToken } from '../lib/shares.js';
+import { PLAN_QUOTAS } from '../lib/usage.js';
+import { WORKSPACE_ROLES, hasRole, workspaceRole, loadGPTForRole, logAudit } from '../lib/workspaces.js';
+import { starterSettings } from '../lib/starters.js';
+import { applyCors } from '../lib/cors.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_NAME_LENGTH = 80;
+const MAX_OWNED_WORKSPACES = 10;
+const MAX_MEMBERS = 50;
+const INVITATION_DAYS = 14;
+const AUDIT_PAGE_SIZE = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default async function handler(req, res) {
+  // CORS headers
+  applyCors(req, res, { methods: 'GET,OPTIONS,POST' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, error: authError } = await getUserFromRequest(req, supabase);
+    if (!user) {
+      return res.status(401).json({ error: authError });
+    }
+
+    if (req.method === 'GET') {
+      const { workspaceId, gptId, audit } = req.query;
+      if (gptId) return await getGPT(res, user, gptId);
+      if (workspaceId && audit) return await listAudit(res, user, workspaceId, req.query.page);
+      if (workspaceId) return await getWorkspace(res, user, workspaceId);
+      return await listWorkspaces(res, user);
+    }
+
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'create':
+        return await createWorkspace(res, user, data);
+      case 'rename':
+        return await renameWorkspace(res, user, data);
+      case 'delete':
+        return await deleteWorkspace(res, user, data);
+      case 'invite':
+        return await inviteMember(res, user, data);
+      case 'revoke_invitation':
+        return await revokeInvitation(res, user, data);
+      case 'accept_invitation':
+        return await acceptInvitation(res, user, data);
+      case 'set_role':
+        return await setRole(res, user, data);
+      case 'remove_member':
+        return await removeMember(res, user, data);
+      case 'leave':
+        return await leaveWorkspace(res, user, data);
+      case 'move_gpt':
+        return await moveGPT(res, user, data);
+      case 'delete_gpt':
+        return await deleteGPT(res, user, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('Workspaces API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+// The workspace with the user's role in it, if they hold at least `minimum`
+async function loadWorkspace(user, workspaceId, minimum) {
+  if (!workspaceId) return null;
+
+  const { data: workspace, error } = await supabase
+    .from('workspaces')
+    .select('id, name, owner_id, created_at')
+    .eq('id', workspaceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!workspace) return null;
+
+  const role = await workspaceRole(supabase, user.id, workspace.id);
+  return hasRole(role, minimum) ? { ...workspace, role } : null;
+}
+
+function readName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return { error: 'A workspace needs a name' };
+  if (trimmed.length > MAX_NAME_LENGTH) return { error: `Workspace names can be at most ${MAX_NAME_LENGTH} characters` };
+  return { name: trimmed };
+}
+
+function readRole(role) {
+  return WORKSPACE_ROLES.includes(role) ? role : null;
+}
+
+// Viewers see what subscribers would: the published copy, without the
+// instructions, actions or knowledge file contents
+function visibleGPTData(row, role) {
+  if (hasRole(role, 'editor')) return row.gpt_data;
+
+  const gptData = row.published_data || row.gpt_data || {};
+  return {
+    name: gptData.name,
+    description: gptData.description,
+    files: (gptData.files || []).map(file => ({ name: file.name })),
+    webSearch: Boolean(gptData.webSearch),
+    forSale: Boolean(gptData.forSale),
+    monthlyPrice: gptData.monthlyPrice || 0,
+    ...starterSettings(gptData)
+  };
+}
+
+function toGPT(row, role, workspace) {
+  return {
+    id: row.id,
+    workspace_id: row.workspace_id,
+    workspaceName: workspace?.name || null,
+    role,
+    gpt_data: visibleGPTData(row, role),
+    latest_version: row.latest_version,
+    published_version: row.published_version,
+    created_at: row.created_at
+  };
+}
+
+async function listWorkspaces(res, user) {
+  const { data: memberships, error } = await supabase
+    .from('workspace_members')
+    .select('workspace_id, role')
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+
+  const roles = Object.fromEntries((memberships || []).map(row => [row.workspace_id, row.role]));
+  const workspaceIds = Object.keys(roles);
+  let workspaces = [];
+  let gpts = [];
+
+  if (workspaceIds.length > 0) {
+    const { data, error: workspacesError } = await supabase
+      .from('workspaces')
+      .select('id, name, owner_id, created_at')
+      .in('id', workspaceIds)
+      .order('created_at', { ascending: true });
+
+    if (workspacesError) throw workspacesError;
+    workspaces = data || [];
+
+    const { data: rows, error: gptsError } = await supabase
+      .from('user_gpts')
+      .select('id, workspace_id, gpt_data, published_data, latest_version, published_version, created_at')
+      .in('workspace_id', workspaceIds)
+      .order('created_at', { ascending: false });
+
+    if (gptsError) throw gptsError;
+
+    const byId = Object.fromEntries(workspaces.map(workspace => [workspace.id, workspace]));
+    gpts = (rows || []).map(row => toGPT(row, roles[row.workspace_id], byId[row.workspace_id]));
+  }
+
+  // Invitations sent to the user's email that are still open
+  let invitations = [];
+  if (user.email) {
+    const { data, error: invitationsError } = await supabase
+      .from('workspace_invitations')
+      .select('id, workspace_id, role, token, expires_at')
+      .eq('email', user.email.toLowerCase())
+      .eq('revoked', false)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString());
+
+    if (invitationsError) throw invitationsError;
+
+    const open = (data || []).filter(invitation => !roles[invitation.workspace_id]);
+    let names = {};
+
+    if (open.length > 0) {
+      const { data: invitedTo, error: namesError } = await supabase
+        .from('workspaces')
+        .select('id, name')
+        .in('id', open.map(invitation => invitation.workspace_id));
+
+      if (namesError) throw namesError;
+      names = Object.fromEntries((invitedTo || []).map(workspace => [workspace.id, workspace.name]));
+    }
+
+    invitations = open.map(invitation => ({
+      id: invitation.id,
+      token: invitation.token,
+      workspaceName: names[invitation.workspace_id] || 'A workspace',
+      role: invitation.role,
+      expiresAt: invitation.expires_at
+    }));
+  }
+
+  return res.json({
+    workspaces: workspaces.map(workspace => ({
+      id: workspace.id,
+      name: workspace.name,
+      role: roles[workspace.id],
+      billingOwner: workspace.owner_id === user.id
+    })),
+    gpts,
+    invitations
+  });
+}
+
+// A creator subscription of the workspace's owner puts every member on the
+// creator plan; team usage is what all members spent on its GPTs this month
+async function workspaceBilling(workspace, people) {
+  const { data: creatorSub, error } = await supabase
+    .from('creator_subscriptions')
+    .select('id, current_period_end, cancel_at_period_end')
+    .eq('user_id', workspace.owner_id)
+    .in('status', ACTIVE_SUBSCRIPTION_STATUSES)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const { data: gpts, error: gptsError } = await supabase
+    .from('user_gpts')
+    .select('id')
+    .eq('workspace_id', workspace.id);
+
+  if (gptsError) throw gptsError;
+
+  let tokensThisMonth = 0;
+  const gptIds = (gpts || []).map(gpt => gpt.id);
+
+  if (gptIds.length > 0) {
+    const now = new Date();
+    const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+    const { data: usage, error: usageError } = await supabase
+      .from('chat_usage')
+      .select('total_tokens')
+      .in('gpt_id', gptIds)
+      .gte('created_at', startOfMonth);
+
+    if (usageError) throw usageError;
+    tokensThisMonth = (usage || []).reduce((sum, row) => sum + (row.total_tokens || 0), 0);
+  }
+
+  const plan = creatorSub ? 'creator' : 'free';
+
+  return {
+    plan,
+    paidBy: people[workspace.owner_id]?.name || null,
+    renews: creatorSub && !creatorSub.cancel_at_period_end ? creatorSub.current_period_end : null,
+    monthlyTokensPerMember: PLAN_QUOTAS[plan],
+    tokensThisMonth
+  };
+}
+
+async function getWorkspace(res, user, workspaceId) {
+  const workspace = await loadWorkspace(user, workspaceId, 'viewer');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const { data: members, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, role, created_at')
+    .eq('workspace_id', workspace.id)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const people = await teammates(supabase, (members || []).map(member => member.user_id));
+
+  let invitations = [];
+  if (hasRole(workspace.role, 'owner')) {
+    const { data, error: invitationsError } = await supabase
+      .from('workspace_invitations')
+      .select('id, email, role, token, expires_at, created_at')
+      .eq('workspace_id', workspace.id)
+      .eq('revoked', false)
+      .is('accepted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (invitationsError) throw invitationsError;
+
+    invitations = (data || []).map(invitation => ({
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      token: invitation.token,
+      expiresAt: invitation.expires_at,
+      expired: new Date(invitation.expires_at) <= new Date()
+    }));
+  }
+
+  return res.json({
+    workspace: {
+      id: workspace.id,
+      name: workspace.name,
+      role: workspace.role,
+      billingOwner: workspace.owner_id === user.id
+    },
+    members: (members || []).map(member => ({
+      userId: member.user_id,
+      name: people[member.user_id]?.name || 'Unknown user',
+      email: people[member.user_id]?.email || null,
+      role: member.role,
+      billingOwner: member.user_id === workspace.owner_id,
+      you: member.user_id === user.id,
+      joined: member.created_at
+    })),
+    invitations,
+    billing: await workspaceBilling(workspace, people)
+  });
+}
+
+async function listAudit(res, user, workspaceId, pageParam) {
+  const workspace = await loadWorkspace(user, workspaceId, 'viewer');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const page = Math.max(parseInt(pageParam, 10) || 1, 1);
+  const from = (page - 1) * AUDIT_PAGE_SIZE;
+
+  const { data: rows, count, error } = await supabase
+    .from('workspace_audit_log')
+    .select('id, gpt_id, actor_id, action, details, created_at', { count: 'exact' })
+    .eq('workspace_id', workspace.id)
+    .order('created_at', { ascending: false })
+    .range(from, from + AUDIT_PAGE_SIZE - 1);
+
+  if (error) throw error;
+
+  const people = await teammates(supabase, (rows || []).map(row => row.actor_id));
+
+  return res.json({
+    entries: (rows || []).map(row => ({
+      id: row.id,
+      gptId: row.gpt_id,
+      actor: people[row.actor_id]?.name || 'A former member',
+      action: row.action,
+      details: row.details || {},
+      created: row.created_at
+    })),
+    page,
+    totalPages: Math.ceil((count || 0) / AUDIT_PAGE_SIZE)
+  });
+}
+
+async function getGPT(res, user, gptId) {
+  const gpt = await loadGPTForRole(supabase, user, gptId, 'viewer', 'gpt_data, published_data, latest_version, published_version, created_at');
+  if (!gpt) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  let workspace = null;
+  if (gpt.workspace_id) {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .select('id, name')
+      .eq('id', gpt.workspace_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    workspace = data;
+  }
+
+  return res.json({ gpt: toGPT(gpt, gpt.role, workspace) });
+}
+
+async function createWorkspace(res, user, data) {
+  const { name, error: nameError } = readName(data.name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  const { count, error: countError } = await supabase
+    .from('workspaces')
+    .select('id', { count: 'exact', head: true })
+    .eq('owner_id', user.id);
+
+  if (countError) throw countError;
+
+  if (count >= MAX_OWNED_WORKSPACES) {
+    return res.status(400).json({ error: `You can own at most ${MAX_OWNED_WORKSPACES} workspaces` });
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: workspace, error } = await supabase
+    .from('workspaces')
+    .insert({ name, owner_id: user.id, created_at: now })
+    .select('id, name')
+    .single();
+
+  if (error) throw error;
+
+  const { error: memberError } = await supabase
+    .from('workspace_members')
+    .insert({ workspace_id: workspace.id, user_id: user.id, role: 'owner', created_at: now });
+
+  if (memberError) throw memberError;
+
+  await logAudit(supabase, { workspaceId: workspace.id, actorId: user.id, action: 'workspace.created', details: { name } });
+
+  return res.json({ workspace });
+}
+
+async function renameWorkspace(res, user, data) {
+  const workspace = await loadWorkspace(user, data.workspaceId, 'owner');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const { name, error: nameError } = readName(data.name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  const { error } = await supabase
+    .from('workspaces')
+    .update({ name })
+    .eq('id', workspace.id);
+
+  if (error) throw error;
+
+  await logAudit(supabase, { workspaceId: workspace.id, actorId: user.id, action: 'workspace.renamed', details: { from: workspace.name, name } });
+
+  return res.json({ success: true });
+}
+
+// Only the member who pays for the workspace may delete it, and only once
+// its GPTs have been moved out or deleted
+async function deleteWorkspace(res, user, { workspaceId }) {
+  const workspace = await loadWorkspace(user, workspaceId, 'owner');
+  if (!workspace || workspace.owner_id !== user.id) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const { count, error: countError } = await supabase
+    .from('user_gpts')
+    .select('id', { count: 'exact', head: true })
+    .eq('workspace_id', workspace.id);
+
+  if (countError) throw countError;
+
+  if (count > 0) {
+    return res.status(400).json({ error: 'Move or delete the workspace\'s GPTs first' });
+  }
+
+  for (const table of ['workspace_invitations', 'workspace_members', 'workspace_audit_log']) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('workspace_id', workspace.id);
+
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from('workspaces')
+    .delete()
+    .eq('id', workspace.id);
+
+  if (error) throw error;
+
+  return res.json({ success: true });
+}
+
+async function inviteMember(res, user, data) {
+  const workspace = await loadWorkspace(user, data.workspaceId, 'owner');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const email = String(data.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Enter a valid email address' });
+  }
+
+  const role = readRole(data.role || 'editor');
+  if (!role) {
+    return res.status(400).json({ error: `role must be one of ${WORKSPACE_ROLES.join(', ')}` });
+  }
+
+  const { count, error: countError } = await supabase
+    .from('workspace_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('workspace_id', workspace.id);
+
+  if (countError) throw countError;
+
+  if (count >= MAX_MEMBERS) {
+    return res.status(400).json({ error: `A workspace can have at most ${MAX_MEMBERS} members` });
+  }
+
+  // A newer invitation to the same address replaces the open one
+  const { error: revokeError } = await supabase
+    .from('workspace_invitations')
+    .update({ revoked: true })
+    .eq('workspace_id', workspace.id)
+    .eq('email', email)
+    .is('accepted_at', null);
+
+  if (revokeError) throw revokeError;
+
+  const now = new Date();
+
+  const { data: invitation, error } = await supabase
+    .from('workspace_invitations')
+    .insert({
+      workspace_id: workspace.id,
+      email,
+      role,
+      token: generateShareToken(),
+      invited_by: user.id,
+      revoked: false,
+      expires_at: new Date(now.getTime() + INVITATION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      created_at: now.toISOString()
+    })
+    .select('id, token, expires_at')
+    .single();
+
+  if (error) throw error;
+
+  await logAudit(supabase, { workspaceId: workspace.id, actorId: user.id, action: 'member.invited', details: { email, role } });
+
+  return res.json({ invitation: { id: invitation.id, token: invitation.token, expiresAt: invitation.expires_at } });
+}
+
+async function revokeInvitation(res, user, { invitationId }) {
+  if (!invitationId) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+
+  const { data: invitation, error } = await supabase
+    .from('workspace_invitations')
+    .select('id, workspace_id, email')
+    .eq('id', invitationId)
+    .eq('revoked', false)
+    .is('accepted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const workspace = invitation && await loadWorkspace(user, invitation.workspace_id, 'owner');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+
+  const { error: updateError } = await supabase
+    .from('workspace_invitations')
+    .update({ revoked: true })
+    .eq('id', invitation.id);
+
+  if (updateError) throw updateError;
+
+  await logAudit(supabase, { workspaceId: workspace.id, actorId: user.id, action: 'invitation.revoked', details: { email: invitation.email } });
+
+  return res.json({ success: true });
+}
+
+async function acceptInvitation(res, user, { token }) {
+  if (!token || typeof token !== 'string') {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+
+  const { data: invitation, error } = await supabase
+    .from('workspace_invitations')
+    .select('id, workspace_id, email, role, expires_at')
+    .eq('token', token)
+    .eq('revoked', false)
+    .is('accepted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!invitation) {
+    return res.status(404).json({ error: 'This invitation was revoked or has already been used' });
+  }
+
+  if (new Date(invitation.expires_at) <= new Date()) {
+    return res.status(410).json({ error: 'This invitation has expired; ask for a new one' });
+  }
+
+  if (String(user.email || '').toLowerCase() !== invitation.email) {
+    return res.status(403).json({ error: `This invitation is for ${invitation.email}; sign in with that email to accept it` });
+  }
+
+  const now = new Date().toISOString();
+
+  if (!await workspaceRole(supabase, user.id, invitation.workspace_id)) {
+    const { error: memberError } = await supabase
+      .from('workspace_members')
+      .insert({ workspace_id: invitation.workspace_id, user_id: user.id, role: invitation.role, created_at: now });
+
+    if (memberError) throw memberError;
+
+    await logAudit(supabase, { workspaceId: invitation.workspace_id, actorId: user.id, action: 'member.joined', details: { email: invitation.email, role: invitation.role } });
+  }
+
+  const { error: updateError } = await supabase
+    .from('workspace_invitations')
+    .update({ accepted_by: user.id, accepted_at: now })
+    .eq('id', invitation.id);
+
+  if (updateError) throw updateError;
+
+  return res.json({ workspaceId: invitation.workspace_id });
+}
+
+// The member being changed or removed; the billing owner is never one
+async function loadOtherMember(workspace, userId) {
+  if (!userId || userId === workspace.owner_id) return null;
+
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, role')
+    .eq('workspace_id', workspace.id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function setRole(res, user, data) {
+  const workspace = await loadWorkspace(user, data.workspaceId, 'owner');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const role = readRole(data.role);
+  if (!role) {
+    return res.status(400).json({ error: `role must be one of ${WORKSPACE_ROLES.join(', ')}` });
+  }
+
+  const member = await loadOtherMember(workspace, data.userId);
+  if (!member) {
+    return res.status(404).json({ error: 'Member not found, or they pay for the workspace' });
+  }
+
+  const { error } = await supabase
+    .from('workspace_members')
+    .update({ role })
+    .eq('workspace_id', workspace.id)
+    .eq('user_id', member.user_id);
+
+  if (error) throw error;
+
+  const people = await teammates(supabase, [member.user_id]);
+  await logAudit(supabase, {
+    workspaceId: workspace.id,
+    actorId: user.id,
+    action: 'member.role_changed',
+    details: { member: people[member.user_id]?.name || null, from: member.role, role }
+  });
+
+  return res.json({ success: true });
+}
+
+async function deleteMembership(workspaceId, userId) {
+  const { error } = await supabase
+    .from('workspace_members')
+    .delete()
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+// GPTs the member created stay in the workspace
+async function removeMember(res, user, data) {
+  const workspace = await loadWorkspace(user, data.workspaceId, 'owner');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const member = await loadOtherMember(workspace, data.userId);
+  if (!member) {
+    return res.status(404).json({ error: 'Member not found, or they pay for the workspace' });
+  }
+
+  const people = await teammates(supabase, [member.user_id]);
+  await deleteMembership(workspace.id, member.user_id);
+
+  await logAudit(supabase, {
+    workspaceId: workspace.id,
+    actorId: user.id,
+    action: 'member.removed',
+    details: { member: people[member.user_id]?.name || null, role: member.role }
+  });
+
+  return res.json({ success: true });
+}
+
+async function leaveWorkspace(res, user, { workspaceId }) {
+  const workspace = await loadWorkspace(user, workspaceId, 'viewer');
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  if (workspace.owner_id === user.id) {
+    return res.status(400).json({ error: 'You pay for this workspace, so you can\'t leave it; delete it instead' });
+  }
+
+  await deleteMembership(workspace.id, user.id);
+
+  await logAudit(supabase, { workspaceId: workspace.id, actorId: user.id, action: 'member.left', details: { role: workspace.role } });
+
+  return res.json({ success: true });
+}
+
+// Personal GPTs move into a workspace the creator edits in. Taking one out
+// is up to the workspace's owners and hands it back to its creator, whose
+// Stripe account its subscriptions pay into.
+async function moveGPT(res, user, { gptId, workspaceId = null }) {
+  if (workspaceId) {
+    const gpt = await loadGPTForRole(supabase, user, gptId, 'owner', 'gpt_data');
+    if (!gpt || gpt.workspace_id) {
+      return res.status(404).json({ error: 'GPT not found, or it already belongs to a workspace' });
+    }
+
+    const workspace = await loadWorkspace(user, workspaceId, 'editor');
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { error } = await supabase
+      .from('user_gpts')
+      .update({ workspace_id: workspace.id })
+      .eq('id', gpt.id);
+
+    if (error) throw error;
+
+    await logAudit(supabase, { workspaceId: workspace.id, gptId: gpt.id, actorId: user.id, action: 'gpt.moved_in', details: { name: gpt.gpt_data?.name } });
+
+    return res.json({ success: true });
+  }
+
+  const gpt = await loadGPTForRole(supabase, user, gptId, 'owner', 'gpt_data');
+  if (!gpt || !gpt.workspace_id) {
+    return res.status(404).json({ error: 'GPT not found, or it doesn\'t belong to a workspace' });
+  }
+
+  const { error } = await supabase
+    .from('user_gpts')
+    .update({ workspace_id: null })
+    .eq('id', gpt.id);
+
+  if (error) throw error;
+
+  await logAudit(supabase, { workspaceId: gpt.workspace_id, gptId: gpt.id, actorId: user.id, action: 'gpt.moved_out', details: { name: gpt.gpt_data?.name } });
+
+  return res.json({ success: true });
+}
+
+// Personal GPTs are deleted by their creator from the browser; workspace GPTs
+// only by the workspace's owners
+async function deleteGPT(res, user, { gptId }) {
+  const gpt = await loadGPTForRole(supabase, user, gptId, 'owner', 'gpt_data');
+  if (!gpt || !gpt.workspace_id) {
+    return res.status(404).json({ error: 'GPT not found' });
+  }
+
+  const { error } = await supabase
+    .from('user_gpts')
+    .delete()
+    .eq('id', gpt.id);
+
+  if (error) throw error;
+
+  await logAudit(supabase, { workspaceId: gpt.workspace_id, gptId: gpt.id, actorId: user.id, action: 'gpt.deleted', details: { name: gpt.gpt_data?.name } });
+
+  return res.json({ success: true });
+}
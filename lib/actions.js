@@ -0,0 +1,270 @@
+// lib/actions.js - Custom Actions: expose a GPT's OpenAPI operations as tools
+//
+// A GPT's `actions` setting is { schema: '<OpenAPI 3 JSON>', auth: { type:
+// 'none' | 'api_key' | 'bearer', headerName, secret } }. Calls are made from
+// the server with a timeout, a response size cap and a host allowlist:
+// ACTIONS_ALLOWED_HOSTS (comma separated, `*.example.com` wildcards). With
+// no allowlist, actions can't call anything. Hosts are resolved before each
+// call and refused if any address is internal (loopback, private, link-local,
+// CGNAT, unspecified, IPv4-mapped and the like); the request then connects
+// to the address that was checked, so DNS rebinding can't swap it.
+import dns from 'dns/promises';
+import https from 'https';
+import net from 'net';
+
+const ACTION_TIMEOUT_MS = parseInt(process.env.ACTION_TIMEOUT_MS, 10) || 10000;
+const ACTION_MAX_RESPONSE_BYTES = parseInt(process.env.ACTION_MAX_RESPONSE_BYTES, 10) || 100 * 1024;
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function resolveRef(schema, root, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 8) return schema;
+
+  if (schema.$ref) {
+    const path = schema.$ref.replace(/^#\//, '').split('/');
+    const target = path.reduce((node, key) => node?.[key], root);
+    return resolveRef(target || {}, root, depth + 1);
+  }
+
+  if (Array.isArray(schema)) return schema.map(item => resolveRef(item, root, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [key, resolveRef(value, root, depth + 1)])
+  );
+}
+
+function toolName(operation, method, path) {
+  const name = operation.operationId || `${method}_${path}`;
+  return name.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 64);
+}
+
+// Parse the schema into callable operations and their tool definitions.
+// Throws with a readable message when the schema is unusable.
+export function parseActions(actions) {
+  if (!actions || !actions.schema) return [];
+
+  let spec;
+  try {
+    spec = typeof actions.schema === 'string' ? JSON.parse(actions.schema) : actions.schema;
+  } catch (error) {
+    throw new Error(`Actions schema is not valid JSON: ${error.message}`);
+  }
+
+  const serverUrl = spec.servers?.[0]?.url;
+  if (!serverUrl || !/^https?:\/\//.test(serverUrl)) {
+    throw new Error('Actions schema needs an absolute servers[0].url');
+  }
+
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const parameters = resolveRef([...(pathItem.parameters || []), ...(operation.parameters || [])], spec);
+      const properties = {};
+      const required = [];
+
+      for (const param of parameters) {
+        if (!['path', 'query', 'header'].includes(param.in)) continue;
+        properties[param.name] = {
+          ...(param.schema || { type: 'string' }),
+          description: param.description || `${param.in} parameter`
+        };
+        if (param.required || param.in === 'path') required.push(param.name);
+      }
+
+      const bodySchema = resolveRef(operation.requestBody?.content?.['application/json']?.schema, spec);
+      if (bodySchema) {
+        properties.body = { ...bodySchema, description: bodySchema.description || 'JSON request body' };
+        if (operation.requestBody.required) required.push('body');
+      }
+
+      const name = toolName(operation, method, path);
+      operations.push({
+        name,
+        method: method.toUpperCase(),
+        serverUrl,
+        path,
+        parameters,
+        tool: {
+          type: 'function',
+          function: {
+            name,
+            description: (operation.summary || operation.description || `${method.toUpperCase()} ${path}`).slice(0, 1000),
+            parameters: { type: 'object', properties, required }
+          }
+        }
+      });
+    }
+  }
+
+  return operations;
+}
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],         // "this network", including the unspecified 0.0.0.0
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],     // CGNAT, where some clouds keep their metadata service
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],    // link-local, including 169.254.169.254
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],            // unspecified
+  ['::1', 128],
+  ['64:ff9b::', 96],      // NAT64, which reaches IPv4 addresses too
+  ['fc00::', 7],          // unique local
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8]           // multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList matches IPv4 addresses against ::ffff:0:0/96 too, so IPv4-mapped
+// addresses are refused here rather than with a subnet
+function isIPv4Mapped(address) {
+  return /^::ffff:/i.test(new URL(`http://[${address}]`).hostname.slice(1, -1));
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 6 && isIPv4Mapped(address)) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Whether a URL may be called at all: HTTPS, on the allowlist and not an
+// internal IP literal. Names are checked again once resolved.
+export function isHostAllowed(url) {
+  if (url.protocol !== 'https:') return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host) && isBlockedAddress(host)) return false;
+
+  const allowlist = (process.env.ACTIONS_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  return allowlist.some(entry => entry.startsWith('*.')
+    ? host.endsWith(entry.slice(1))
+    : host === entry);
+}
+
+// Resolve the host to the address the request will connect to. Resolves
+// null when any of its addresses is internal.
+export async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return null;
+  }
+  return addresses[0];
+}
+
+// Send the request to `address` whatever the host name resolves to by now.
+// TLS still checks the certificate against the host name.
+function requestPinned(target, address, { method, headers, body, signal }) {
+  return new Promise((resolve, reject) => {
+    const request = https.request(target, {
+      method,
+      headers,
+      signal,
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [address])
+        : callback(null, address.address, address.family)
+    }, resolve);
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Read at most `limit` bytes of the response body
+async function readLimited(response, limit) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+
+  for await (const chunk of response) {
+    if (size + chunk.length > limit) {
+      chunks.push(chunk.subarray(0, limit - size));
+      truncated = true;
+      response.destroy();
+      break;
+    }
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+
+  return { text: Buffer.concat(chunks).toString('utf8'), truncated };
+}
+
+// Call one operation with the model's arguments; returns the tool result text
+export async function executeAction(operation, args, auth = {}) {
+  let path = operation.path;
+  const url = new URL(operation.serverUrl.replace(/\/$/, '') + '/');
+  const headers = { 'Accept': 'application/json' };
+
+  for (const param of operation.parameters) {
+    const value = args[param.name];
+    if (value === undefined || value === null) continue;
+    if (param.in === 'path') path = path.replace(`{${param.name}}`, encodeURIComponent(String(value)));
+    if (param.in === 'query') url.searchParams.set(param.name, String(value));
+    if (param.in === 'header') headers[param.name] = String(value);
+  }
+
+  if (/\{[^}]+\}/.test(path)) {
+    return 'Tool error: missing required path parameters';
+  }
+
+  const target = new URL(url.pathname.replace(/\/$/, '') + path, url);
+  target.search = url.search;
+
+  if (!isHostAllowed(target)) {
+    return `Tool error: host ${target.hostname} is not allowed for actions`;
+  }
+
+  if (auth.type === 'bearer' && auth.secret) {
+    headers['Authorization'] = `Bearer ${auth.secret}`;
+  } else if (auth.type === 'api_key' && auth.secret) {
+    headers[auth.headerName || 'X-API-Key'] = auth.secret;
+  }
+
+  let address;
+  try {
+    address = await resolvePublicAddress(target.hostname);
+  } catch (error) {
+    return `Tool error: could not resolve ${target.hostname}`;
+  }
+  if (!address) {
+    return `Tool error: host ${target.hostname} is not allowed for actions`;
+  }
+
+  // Redirects are never followed; they could lead off the allowlist
+  const signal = AbortSignal.timeout(ACTION_TIMEOUT_MS);
+  let body;
+  if (args.body !== undefined && operation.method !== 'GET') {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(args.body);
+  }
+
+  try {
+    const response = await requestPinned(target, address, { method: operation.method, headers, body, signal });
+    const { text, truncated } = await readLimited(response, ACTION_MAX_RESPONSE_BYTES);
+
+    return `HTTP ${response.statusCode}\n${text}${truncated ? '\n[response truncated]' : ''}`;
+  } catch (error) {
+    return signal.aborted
+      ? `Tool error: request timed out after ${ACTION_TIMEOUT_MS / 1000}s`
+      : `Tool error: ${error.message}`;
+  }
+}
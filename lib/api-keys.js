@@ -0,0 +1,66 @@
+// lib/api-keys.js - Personal API keys for calling GPTs from scripts and servers
+//
+// Keys live in `api_keys` (id, user_id, label, key_prefix, key_hash,
+// last_used_at, revoked, created_at). Only a SHA-256 hash of the key is
+// stored; the key itself is shown once when it is created. A key acts as its
+// owner with the same access and quotas as the signed-in app.
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'egpt_';
+
+// Characters of the key kept in key_prefix so users can tell keys apart
+const VISIBLE_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, keyPrefix: key.slice(0, VISIBLE_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Reads `Authorization: Bearer <api key>` and returns { user, apiKey, error }
+// like getUserFromRequest() in lib/auth.js
+export async function getUserFromApiKey(req, supabase) {
+  const header = req.headers.authorization || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+  if (!key) {
+    return { user: null, apiKey: null, error: 'Missing API key' };
+  }
+
+  if (!key.startsWith(API_KEY_PREFIX)) {
+    return { user: null, apiKey: null, error: 'Invalid API key' };
+  }
+
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id')
+    .eq('key_hash', hashApiKey(key))
+    .eq('revoked', false)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!apiKey) {
+    return { user: null, apiKey: null, error: 'Invalid API key' };
+  }
+
+  const { data, error: userError } = await supabase.auth.admin.getUserById(apiKey.user_id);
+  if (userError || !data?.user) {
+    return { user: null, apiKey: null, error: 'Invalid API key' };
+  }
+
+  // Last-used is informational; don't fail the request over it
+  const { error: touchError } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKey.id);
+
+  if (touchError) {
+    console.error('Error updating API key last use:', touchError);
+  }
+
+  return { user: data.user, apiKey, error: null };
+}
@@ -0,0 +1,98 @@
+// lib/auth.js - Resolve the Supabase user behind an API request
+import crypto from 'crypto';
+import { workspaceRole, hasRole } from './workspaces.js';
+
+// Reads `Authorization: Bearer <supabase access token>` and returns
+// { user, error } in the same shape the Supabase client uses
+export async function getUserFromRequest(req, supabase) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+  if (!token) {
+    return { user: null, error: 'Missing access token' };
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data?.user) {
+    return { user: null, error: 'Invalid or expired access token' };
+  }
+
+  return { user: data.user, error: null };
+}
+
+// Platform operators (webhook replay, review moderation) send the
+// `x-admin-key` header, which must match ADMIN_API_KEY
+export function isAdminRequest(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers['x-admin-key'];
+  if (!expected || typeof provided !== 'string') return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Subscription states that grant access to a marketplace GPT
+export const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+// Whether the user is on the team behind a GPT: its owner, or any member of
+// the workspace it belongs to. They may not subscribe to or review it.
+// `gpt` needs user_id and workspace_id.
+export async function isGPTTeamMember(supabase, user, gpt) {
+  if (gpt.user_id === user.id) return true;
+  return Boolean(gpt.workspace_id && await workspaceRole(supabase, user.id, gpt.workspace_id));
+}
+
+// Load a GPT and check the user may chat with it: owners always can, other
+// users need an active subscription. Editors and owners of a workspace GPT
+// chat like its owner; viewers get `member` access to the published version.
+// Returns { gpt, access } on success or { status, error } with the HTTP
+// status to send back.
+export async function authorizeGPTAccess(supabase, user, gptId) {
+  if (!gptId) {
+    return { status: 400, error: 'gptId is required' };
+  }
+
+  const { data: gpt, error } = await supabase
+    .from('user_gpts')
+    .select('*')
+    .eq('id', gptId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!gpt) {
+    return { status: 404, error: 'GPT not found' };
+  }
+
+  if (gpt.workspace_id) {
+    const role = await workspaceRole(supabase, user.id, gpt.workspace_id);
+    if (role) {
+      return { gpt, access: hasRole(role, 'editor') ? 'owner' : 'member' };
+    }
+  } else if (gpt.user_id === user.id) {
+    return { gpt, access: 'owner' };
+  }
+
+  const { data: subscription, error: subscriptionError } = await supabase
+    .from('customer_subscriptions')
+    .select('id')
+    .eq('customer_id', user.id)
+    .eq('gpt_id', gptId)
+    .in('status', ACTIVE_SUBSCRIPTION_STATUSES)
+    .limit(1)
+    .maybeSingle();
+
+  if (subscriptionError) throw subscriptionError;
+
+  if (subscription) {
+    return { gpt, access: 'subscriber' };
+  }
+
+  if (gpt.gpt_data?.forSale) {
+    return { status: 402, error: 'An active subscription is required to chat with this GPT' };
+  }
+
+  return { status: 403, error: 'You do not have access to this GPT' };
+}
@@ -0,0 +1,259 @@
+// lib/completion.js - Chat completions with a tool-calling loop and model fallbacks
+import { readSSE } from './sse.js';
+import { callProvider } from './providers.js';
+
+// After this many tool rounds the model must answer with what it has
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 4;
+
+// A provider that sends nothing for this long is treated as failed
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 30000;
+
+// Abort signal for one upstream request. It follows the caller's signal and
+// fires by itself after PROVIDER_TIMEOUT_MS without data; touch() restarts
+// the clock whenever something arrives.
+function attemptSignal(parent) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  let timer = null;
+  let timedOut = false;
+
+  if (parent?.aborted) controller.abort();
+  parent?.addEventListener('abort', onAbort, { once: true });
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, PROVIDER_TIMEOUT_MS);
+  };
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    timedOut: () => timedOut,
+    done: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Sum the token usage of several requests
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total?.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0),
+    ...(typeof usage.cost === 'number' ? { cost: (total?.cost || 0) + usage.cost } : {})
+  };
+}
+
+async function upstreamError(response, model) {
+  const data = await response.json().catch(() => ({}));
+  console.error(`Model provider error (${model}):`, data);
+  return new Error(data.error?.message || `API error: ${response.status}`);
+}
+
+function timeoutError(model) {
+  return new Error(`${model} did not respond within ${PROVIDER_TIMEOUT_MS / 1000}s`);
+}
+
+// One non-streaming round trip
+async function jsonTurn(options, payload) {
+  const attempt = attemptSignal(options.signal);
+
+  try {
+    const response = await callProvider({ ...options, signal: attempt.signal, payload: { ...payload, stream: false } });
+    if (!response.ok) throw await upstreamError(response, payload.model);
+
+    const data = await response.json();
+
+    // Validate response structure
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      throw new Error('Invalid response structure from model provider');
+    }
+
+    const message = data.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: message.tool_calls || [],
+      model: data.model,
+      usage: data.usage
+    };
+  } catch (error) {
+    throw attempt.timedOut() ? timeoutError(payload.model) : error;
+  } finally {
+    attempt.done();
+  }
+}
+
+// One streaming round trip; text deltas are forwarded through onDelta and
+// tool-call fragments are stitched back together by their index
+async function streamTurn(options, payload, onDelta) {
+  const attempt = attemptSignal(options.signal);
+
+  let content = '';
+  let model = null;
+  let usage = null;
+  const toolCalls = [];
+
+  try {
+    const response = await callProvider({ ...options, signal: attempt.signal, payload: { ...payload, stream: true } });
+    if (!response.ok) throw await upstreamError(response, payload.model);
+
+    for await (const chunk of readSSE(response.body)) {
+      attempt.touch();
+
+      // OpenRouter reports provider failures inside the stream
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Upstream stream error');
+      }
+
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+      }
+    }
+  } catch (error) {
+    throw attempt.timedOut() ? timeoutError(payload.model) : error;
+  } finally {
+    attempt.done();
+  }
+
+  return { content, toolCalls: toolCalls.filter(Boolean), model, usage };
+}
+
+// Run a chat completion, executing the model's tool calls until it produces a
+// final answer. `executeTool(call)` returns the tool result as a string;
+// `onDelta(text)` receives streamed text; `onToolCall(call, phase, result)`
+// is told when each tool starts and finishes.
+//
+// `models` is the ordered fallback chain (defaults to payload.model). When a
+// model fails or times out before anything reached the caller, the next one
+// is tried; once text was streamed or a tool ran, the error is passed on so
+// nothing is shown or executed twice. Resolves with { message, model, usage,
+// modelId } where modelId is the entry of `models` that answered.
+export async function runCompletion({
+  payload,
+  models = [payload.model],
+  signal,
+  onDelta = () => {},
+  onToolCall = () => {},
+  ...options
+}) {
+  let lastError = null;
+
+  for (const modelId of models) {
+    let emitted = false;
+
+    try {
+      const result = await runModel({
+        ...options,
+        signal,
+        payload: { ...payload, model: modelId },
+        onDelta: (delta) => {
+          emitted = true;
+          onDelta(delta);
+        },
+        onToolCall: (call, phase, output) => {
+          emitted = true;
+          onToolCall(call, phase, output);
+        }
+      });
+      return { ...result, modelId };
+    } catch (error) {
+      if (signal?.aborted || emitted) throw error;
+      console.error(`Model ${modelId} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+async function runModel({
+  referer,
+  payload,
+  stream = false,
+  signal,
+  tools = [],
+  executeTool,
+  onDelta,
+  onToolCall
+}) {
+  const options = { referer, signal };
+  const messages = [...payload.messages];
+  let text = '';
+  let model = payload.model;
+  let usage = null;
+
+  // Round outputs are joined into one reply; keep paragraphs apart
+  const append = (content) => {
+    const separator = text && !text.endsWith('\n') && content ? '\n\n' : '';
+    if (separator) onDelta(separator);
+    text += separator;
+  };
+
+  for (let round = 0; ; round++) {
+    const request = { ...payload, messages };
+    if (tools.length > 0) {
+      request.tools = tools;
+      // Out of rounds: the model has to answer now
+      request.tool_choice = round < MAX_TOOL_ROUNDS ? 'auto' : 'none';
+    }
+
+    let started = false;
+    const turn = stream
+      ? await streamTurn(options, request, (delta) => {
+          if (!started) {
+            append(delta);
+            started = true;
+          }
+          text += delta;
+          onDelta(delta);
+        })
+      : await jsonTurn(options, request);
+
+    if (!stream && turn.content) {
+      append(turn.content);
+      text += turn.content;
+    }
+
+    model = turn.model || model;
+    usage = addUsage(usage, turn.usage);
+
+    if (turn.toolCalls.length === 0 || tools.length === 0) {
+      return { message: text, model, usage };
+    }
+
+    messages.push({ role: 'assistant', content: turn.content || null, tool_calls: turn.toolCalls });
+
+    for (const call of turn.toolCalls) {
+      onToolCall(call, 'start');
+      let result;
+      try {
+        result = await executeTool(call);
+      } catch (error) {
+        result = `Tool error: ${error.message}`;
+      }
+      onToolCall(call, 'end', result);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+    }
+  }
+}
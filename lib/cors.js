@@ -0,0 +1,64 @@
+// lib/cors.js - CORS for the API routes
+//
+// The app calls the API from its own origin, which needs no CORS. Other sites
+// may only call it from the origins listed in ALLOWED_ORIGINS (comma
+// separated, e.g. `https://docs.example.com,https://example.com`). Share links
+// add the origins their embeds run on (see lib/shares.js).
+
+const ALLOWED_HEADERS = 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization, X-Share-Password';
+
+function configuredOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// The origin the request was addressed to, as the browser sees it
+function ownOrigin(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!host) return null;
+  const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+// Requests without an Origin header don't come from a browser page on
+// another site and are allowed
+export function isAllowedOrigin(req, extraOrigins = []) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  return origin === ownOrigin(req) ||
+    configuredOrigins().includes(origin) ||
+    (extraOrigins || []).includes(origin);
+}
+
+// Set the CORS headers for this request; the origin is only echoed back when
+// it is allowed, so browsers block everyone else from reading the response
+export function applyCors(req, res, { methods = 'GET,OPTIONS', extraOrigins = [] } = {}) {
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+
+  const origin = req.headers.origin;
+  if (origin && isAllowedOrigin(req, extraOrigins)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', true);
+  }
+}
+
+// Normalise a user-supplied list of origins; returns null if one is invalid
+export function parseOrigins(list) {
+  const origins = [];
+  for (const value of list || []) {
+    let url;
+    try {
+      url = new URL(String(value).trim());
+    } catch (error) {
+      return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    origins.push(url.origin);
+  }
+  return [...new Set(origins)];
+}
@@ -0,0 +1,127 @@
+// lib/expectations.js - Checks a GPT test applies to a reply
+//
+// An expectation is { type, value }:
+//   contains / not_contains  text that must (not) appear, ignoring case
+//   regex                    a pattern, optionally written as /pattern/flags
+//   json_schema              the reply must be JSON valid against this schema
+//   rubric                   plain-language criteria graded by a model
+import { runCompletion } from './completion.js';
+import { DEFAULT_MODEL } from './providers.js';
+import { parseJSONSchema, validateJSONSchema, extractJSON } from './json-schema.js';
+
+export const EXPECTATION_TYPES = ['contains', 'not_contains', 'regex', 'json_schema', 'rubric'];
+
+// Model that grades rubrics
+export const GRADER_MODEL = process.env.EVAL_GRADER_MODEL || DEFAULT_MODEL;
+
+const MAX_EXPECTATIONS = 10;
+const MAX_VALUE_LENGTH = 5000;
+
+function parseRegex(value) {
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/s);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+}
+
+// Validate the expectations of a test; returns { expectations } or { error }
+export function readExpectations(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'Add at least one expectation' };
+  }
+  if (list.length > MAX_EXPECTATIONS) {
+    return { error: `A test can have at most ${MAX_EXPECTATIONS} expectations` };
+  }
+
+  const expectations = [];
+
+  for (const item of list) {
+    const type = item?.type;
+    const value = typeof item?.value === 'string' ? item.value.trim() : '';
+
+    if (!EXPECTATION_TYPES.includes(type)) {
+      return { error: `Unknown expectation type: ${type}` };
+    }
+    if (!value) {
+      return { error: `The ${type.replace('_', ' ')} expectation needs a value` };
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+      return { error: `Expectations can be at most ${MAX_VALUE_LENGTH} characters` };
+    }
+
+    if (type === 'regex') {
+      try {
+        parseRegex(value);
+      } catch (error) {
+        return { error: `Invalid regex: ${error.message}` };
+      }
+    }
+
+    if (type === 'json_schema') {
+      const { error } = parseJSONSchema(value);
+      if (error) return { error };
+    }
+
+    expectations.push({ type, value });
+  }
+
+  return { expectations };
+}
+
+// Checks that need no model; returns { passed, detail }
+export function checkExpectation({ type, value }, output) {
+  switch (type) {
+    case 'contains': {
+      const passed = output.toLowerCase().includes(value.toLowerCase());
+      return { passed, detail: passed ? 'Found' : `"${value}" not found` };
+    }
+    case 'not_contains': {
+      const passed = !output.toLowerCase().includes(value.toLowerCase());
+      return { passed, detail: passed ? 'Not found' : `"${value}" found` };
+    }
+    case 'regex': {
+      const passed = parseRegex(value).test(output);
+      return { passed, detail: passed ? 'Matched' : 'No match' };
+    }
+    case 'json_schema': {
+      const parsed = extractJSON(output);
+      if (parsed.error) return { passed: false, detail: parsed.error };
+      const { valid, errors } = validateJSONSchema(parsed.value, parseJSONSchema(value).schema);
+      return { passed: valid, detail: valid ? 'Valid JSON' : errors.slice(0, 3).join('; ') };
+    }
+    default:
+      throw new Error(`Unknown expectation type: ${type}`);
+  }
+}
+
+// Ask the grader model whether a reply meets the rubric. Resolves with
+// { passed, detail, usage, modelId }.
+export async function gradeRubric({ rubric, prompt, output, referer }) {
+  const result = await runCompletion({
+    referer,
+    payload: {
+      model: GRADER_MODEL,
+      temperature: 0,
+      max_tokens: 300,
+      messages: [
+        {
+          role: 'system',
+          content: 'You grade replies of an AI assistant against a rubric. Answer with JSON only: ' +
+            '{"pass": true or false, "reason": "one short sentence"}. Pass only if every criterion is met.'
+        },
+        {
+          role: 'user',
+          content: `Rubric:\n${rubric}\n\nUser message:\n${prompt}\n\nAssistant reply:\n${output}`
+        }
+      ]
+    }
+  });
+
+  const { value } = extractJSON(result.message);
+  const verdict = value && typeof value.pass === 'boolean' ? value : null;
+
+  return {
+    passed: verdict ? verdict.pass : false,
+    detail: verdict ? String(verdict.reason || '').slice(0, 300) : 'The grader did not return a verdict',
+    usage: result.usage,
+    modelId: result.modelId
+  };
+}
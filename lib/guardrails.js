@@ -0,0 +1,247 @@
+// lib/guardrails.js - Checks around every chat with a GPT
+//
+// Input (every turn of the history the client sent, see checkHistory()) and
+// output (the model's reply) pass through, in order:
+//   - the GPT's blocked topics: gpt_data.guardrails.blockedTopics, each a
+//     word or phrase matched case-insensitively
+//   - platform rules: GUARDRAIL_BLOCKLIST, one rule per line, each a word or
+//     phrase or a /regex/flags
+//   - attempts to extract the system prompt (input) or replies that repeat
+//     the instructions verbatim (output)
+//   - the moderation classifier from lib/moderation.js
+// A hit replaces the reply with the GPT's refusal message
+// (gpt_data.guardrails.refusalMessage) and is logged to `guardrail_events`
+// (id, gpt_id, user_id, share_id, api_key_id, stage, category, rule, excerpt,
+// created_at) for the GPT's owner. Knowledge chunks that read like
+// instructions to the model are logged when indexed and left out of prompts.
+import { moderateText, moderationEnabled } from './moderation.js';
+import { messageText } from './images.js';
+
+export const DEFAULT_REFUSAL_MESSAGE = "Sorry, I can't help with that.";
+
+// `category` of a guardrail event
+export const GUARDRAIL_CATEGORIES = [
+  'blocked_topic',
+  'blocklist',
+  'prompt_extraction',
+  'instructions_leak',
+  'moderation',
+  'knowledge_injection'
+];
+
+const MAX_BLOCKED_TOPICS = 50;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_REFUSAL_LENGTH = 500;
+const MAX_EXCERPT_LENGTH = 500;
+
+// A reply leaks the instructions when it quotes about 140 characters of them:
+// LEAK_MATCHES windows of LEAK_WINDOW characters, LEAK_STEP apart
+const LEAK_WINDOW = 80;
+const LEAK_STEP = 20;
+const LEAK_MATCHES = 4;
+
+// Asking the model to reveal or ignore its instructions
+const EXTRACTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|directions)\b/i,
+  /\b(reveal|show|print|display|output|repeat|tell me|give me|share|leak|dump|what (is|are|was|were))\b.{0,40}\b(your|the)\b.{0,20}\b(system prompt|system message|initial prompt|hidden prompt|original prompt)\b/i,
+  /\b(reveal|print|output|repeat|leak|dump|show me)\b.{0,20}\byour\b.{0,20}\b(instructions|configuration)\b/i,
+  /\b(repeat|print|output|copy)\b.{0,30}\b(everything|all|the text|the words)\b.{0,30}\b(above|before|prior)\b/i,
+  /\byou are (now )?in (developer|debug|god|jailbreak) mode\b/i,
+  /\bDAN\b.{0,40}\b(do anything now|jailbreak)\b/i
+];
+
+// Text in a document that addresses the model rather than the reader
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|directions)\b/i,
+  /\b(new|updated|real|actual) (system )?instructions\s*:/i,
+  /\byou (are|must) now\b.{0,60}\b(assistant|AI|model|chatbot|ignore)\b/i,
+  /\b(do not|don't|never) (tell|inform|reveal to) the user\b/i,
+  /\b(AI|assistant|language model|LLM)s?\b.{0,30}\b(reading|processing) this\b/i,
+  /<\|?(im_start|im_end|system|endoftext)\|?>/i
+];
+
+const REGEX_RULE = /^\/(.+)\/([a-z]*)$/s;
+
+// Only platform rules may be regexes: a creator's regex runs on every message
+// of their GPT and could backtrack for seconds (ReDoS). The compiled rules
+// are cached, so g and y are dropped to keep test() free of lastIndex state.
+function parseRule(rule, { allowRegex = false } = {}) {
+  const literal = allowRegex && rule.match(REGEX_RULE);
+  if (literal) {
+    const flags = literal[2].replace(/[gy]/g, '');
+    return new RegExp(literal[1], flags.includes('i') ? flags : flags + 'i');
+  }
+
+  const escaped = rule.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+// Compiled rules; rules that don't compile are skipped
+function compileRules(rules, options) {
+  return rules.flatMap(rule => {
+    try {
+      return [{ rule, pattern: parseRule(rule, options) }];
+    } catch (error) {
+      console.error('Skipping invalid guardrail rule:', rule, error.message);
+      return [];
+    }
+  });
+}
+
+let platformRules = null;
+
+function platformBlocklist() {
+  if (!platformRules) {
+    platformRules = compileRules((process.env.GUARDRAIL_BLOCKLIST || '')
+      .split('\n')
+      .map(rule => rule.trim())
+      .filter(Boolean), { allowRegex: true });
+  }
+  return platformRules;
+}
+
+// Validate the guardrail settings typed in the GPT editor; returns
+// { guardrails } or { error }
+export function readGuardrailSettings(settings) {
+  const topics = (Array.isArray(settings?.blockedTopics) ? settings.blockedTopics : [])
+    .map(topic => String(topic).trim())
+    .filter(Boolean);
+
+  if (topics.length > MAX_BLOCKED_TOPICS) {
+    return { error: `A GPT can block at most ${MAX_BLOCKED_TOPICS} topics` };
+  }
+
+  for (const topic of topics) {
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      return { error: `Blocked topics can be at most ${MAX_TOPIC_LENGTH} characters` };
+    }
+    if (REGEX_RULE.test(topic)) {
+      return { error: `Blocked topic ${topic} looks like a regex; blocked topics are words or phrases` };
+    }
+  }
+
+  const refusalMessage = String(settings?.refusalMessage || '').trim();
+  if (refusalMessage.length > MAX_REFUSAL_LENGTH) {
+    return { error: `The refusal message can be at most ${MAX_REFUSAL_LENGTH} characters` };
+  }
+
+  return { guardrails: { blockedTopics: topics, refusalMessage } };
+}
+
+export function refusalMessage(gptData) {
+  return String(gptData?.guardrails?.refusalMessage || '').trim() || DEFAULT_REFUSAL_MESSAGE;
+}
+
+function matchRules(rules, text, category) {
+  const hit = rules.find(({ pattern }) => pattern.test(text));
+  return hit ? { category, rule: hit.rule } : null;
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Whether the reply quotes a long enough run of the instructions
+function leaksInstructions(instructions, reply) {
+  const source = normalize(instructions);
+  const output = normalize(reply);
+  if (output.length < LEAK_WINDOW) return false;
+
+  let matches = 0;
+  for (let start = 0; start + LEAK_WINDOW <= source.length; start += LEAK_STEP) {
+    if (output.includes(source.slice(start, start + LEAK_WINDOW)) && ++matches >= LEAK_MATCHES) return true;
+  }
+  return false;
+}
+
+// The first injection-like rule `text` matches, or null
+export function findInjection(text) {
+  const hit = INJECTION_PATTERNS.find(pattern => pattern.test(text));
+  return hit ? hit.source : null;
+}
+
+// Classifier failures let the message through rather than failing the chat
+async function classify(text) {
+  if (!moderationEnabled()) return null;
+
+  try {
+    const { flagged, categories } = await moderateText(text);
+    return flagged ? { category: 'moderation', rule: categories.join(', ') || 'flagged' } : null;
+  } catch (error) {
+    console.error('Moderation check failed:', error.message);
+    return null;
+  }
+}
+
+function matchTopics(topics, text) {
+  return matchRules(topics, text, 'blocked_topic')
+    || matchRules(platformBlocklist(), text, 'blocklist');
+}
+
+function matchInputRules(topics, text) {
+  return matchTopics(topics, text)
+    || (EXTRACTION_PATTERNS.some(pattern => pattern.test(text))
+      ? { category: 'prompt_extraction', rule: 'Asked for or to ignore the instructions' }
+      : null);
+}
+
+// Check one user message. Resolves with null when it may be sent on, or
+// { category, rule } describing why it is blocked.
+export async function checkInput(gptData, text) {
+  return matchInputRules(compileRules(gptData?.guardrails?.blockedTopics || []), text)
+    || await classify(text);
+}
+
+// Check a whole sanitized history before it is sent. The client controls
+// every turn, not just the newest: user turns get checkInput()'s rules and
+// assistant turns the topic and blocklist rules a real reply already passed
+// in checkOutput(). The classifier reads all user turns in one request.
+// Resolves with null or { category, rule, excerpt }.
+export async function checkHistory(gptData, messages) {
+  const topics = compileRules(gptData?.guardrails?.blockedTopics || []);
+
+  for (const message of messages) {
+    const text = messageText(message.content);
+    const hit = message.role === 'user' ? matchInputRules(topics, text) : matchTopics(topics, text);
+    if (hit) return { ...hit, excerpt: text };
+  }
+
+  const userText = messages
+    .filter(message => message.role === 'user')
+    .map(message => messageText(message.content))
+    .join('\n\n');
+  const flagged = await classify(userText);
+  return flagged ? { ...flagged, excerpt: userText } : null;
+}
+
+// Check a finished reply before it is shown. Same result as checkInput().
+export async function checkOutput(gptData, text) {
+  if (!text) return null;
+
+  return (leaksInstructions(gptData?.instructions, text)
+      ? { category: 'instructions_leak', rule: 'Reply repeats the instructions' }
+      : null)
+    || matchTopics(compileRules(gptData?.guardrails?.blockedTopics || []), text)
+    || await classify(text);
+}
+
+// Failures to log are reported but never fail the chat request
+export async function logGuardrailEvent(supabase, { gptId, userId = null, shareId = null, apiKeyId = null, stage, category, rule, excerpt }) {
+  const { error } = await supabase
+    .from('guardrail_events')
+    .insert({
+      gpt_id: gptId,
+      user_id: userId,
+      share_id: shareId,
+      api_key_id: apiKeyId,
+      stage,
+      category,
+      rule: String(rule || '').slice(0, MAX_TOPIC_LENGTH),
+      excerpt: String(excerpt || '').slice(0, MAX_EXCERPT_LENGTH),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Error logging guardrail event:', error);
+  }
+}
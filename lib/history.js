@@ -0,0 +1,72 @@
+// lib/history.js - Conversation history clean-up and token-budget trimming
+
+// Token budget for the conversation history (system prompt not included)
+const DEFAULT_HISTORY_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 6000;
+
+// What a downscaled image roughly costs on vision models
+const IMAGE_TOKENS = 1000;
+
+// Rough token estimate (~4 characters per token); good enough for budgeting
+export function estimateTokens(content) {
+  if (typeof content === 'string') return Math.ceil(content.length / 4);
+  if (Array.isArray(content)) {
+    return content.reduce((sum, part) => sum + (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text || '')), 0);
+  }
+  return 0;
+}
+
+// Text and image parts of a message, in the shape providers expect; other
+// part types are dropped (images are validated by checkImages() in lib/images.js)
+function sanitizeParts(content) {
+  return content.flatMap(part => {
+    if (part?.type === 'text' && typeof part.text === 'string' && part.text.trim()) {
+      return [{ type: 'text', text: part.text }];
+    }
+    if (part?.type === 'image_url' && typeof part.image_url?.url === 'string') {
+      return [{ type: 'image_url', image_url: { url: part.image_url.url } }];
+    }
+    return [];
+  });
+}
+
+// Users may send text and image parts; an assistant turn sent as parts is
+// flattened to its text so no other part type reaches the provider
+function sanitizeContent(role, content) {
+  if (!Array.isArray(content)) return content;
+
+  const parts = sanitizeParts(content);
+  if (role === 'user') return parts;
+  return parts.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+// Keep only user/assistant turns with text (or, for users, image parts); the
+// browser must never be able to inject its own system messages
+export function sanitizeHistory(messages) {
+  return messages
+    .filter(message => message && (message.role === 'user' || message.role === 'assistant'))
+    .map(({ role, content }) => ({ role, content: sanitizeContent(role, content) }))
+    .filter(message => typeof message.content === 'string' ? message.content.trim() : Array.isArray(message.content) && message.content.length > 0);
+}
+
+// Drop the oldest turns until the history fits the budget. The latest message
+// is always kept, and the trimmed history never starts with an assistant turn.
+export function trimHistory(messages, budget = DEFAULT_HISTORY_BUDGET) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content) + 4; // per-message overhead
+    if (kept.length > 0 && used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  while (kept.length > 1 && kept[0].role === 'assistant') {
+    kept.shift();
+  }
+
+  return {
+    messages: kept,
+    trimmed: messages.length - kept.length
+  };
+}
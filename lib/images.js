@@ -0,0 +1,87 @@
+// lib/images.js - Images attached to chat messages
+//
+// A user message may carry OpenAI-style content parts instead of a string:
+//   [{ type: 'text', text }, { type: 'image_url', image_url: { url: 'data:image/png;base64,...' } }]
+// Images are sent inline as data URLs (the browser downscales them first),
+// never as links for the server or the provider to fetch.
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Decoded size of one image; requests must stay under the 4mb body limit
+export const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 1024 * 1024;
+export const MAX_IMAGES_PER_MESSAGE = 3;
+// Only the newest images of a conversation are sent to the model again
+export const MAX_HISTORY_IMAGES = 3;
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// The text of a message, whether its content is a string or a list of parts
+export function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part?.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
+function imageParts(content) {
+  return Array.isArray(content) ? content.filter(part => part?.type === 'image_url') : [];
+}
+
+export function hasImages(messages) {
+  return messages.some(message => imageParts(message.content).length > 0);
+}
+
+// Check the images of the messages a browser sent. Returns null when they
+// are fine or a message for a 400 response.
+export function checkImages(messages) {
+  for (const message of messages) {
+    const images = imageParts(message?.content);
+    if (images.length === 0) continue;
+
+    if (message.role !== 'user') {
+      return 'Only user messages can have images';
+    }
+    if (images.length > MAX_IMAGES_PER_MESSAGE) {
+      return `A message can have at most ${MAX_IMAGES_PER_MESSAGE} images`;
+    }
+
+    for (const image of images) {
+      const match = String(image.image_url?.url || '').match(DATA_URL_PATTERN);
+      if (!match) {
+        return 'Images must be sent as base64 data URLs';
+      }
+      if (!IMAGE_TYPES.includes(match[1])) {
+        return 'Images must be PNG, JPEG, WebP or GIF';
+      }
+      // Four base64 characters carry three bytes
+      if (Math.floor(match[2].length * 3 / 4) > MAX_IMAGE_BYTES) {
+        return `Images can be at most ${Math.round(MAX_IMAGE_BYTES / 1024)} KB; smaller images are downscaled automatically in the chat`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Replace all but the newest `max` images with a short note so long chats
+// don't resend every picture
+export function limitHistoryImages(messages, max = MAX_HISTORY_IMAGES) {
+  let remaining = max;
+
+  return messages.slice().reverse().map(message => {
+    if (!Array.isArray(message.content)) return message;
+
+    const content = message.content.map(part => {
+      if (part.type !== 'image_url') return part;
+      if (remaining > 0) {
+        remaining--;
+        return part;
+      }
+      return { type: 'text', text: '[An earlier image is no longer shown to you]' };
+    });
+
+    return { ...message, content };
+  }).reverse();
+}
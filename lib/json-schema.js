@@ -0,0 +1,167 @@
+// lib/json-schema.js - Small JSON Schema validator
+//
+// Covers the keywords GPT tests and structured replies need: type, enum,
+// const, properties, required, additionalProperties, items, minItems,
+// maxItems, minLength, maxLength, pattern, minimum, maximum, allOf, anyOf,
+// oneOf and local $refs (#/definitions/..., #/$defs/...). Other keywords are
+// ignored rather than rejected.
+
+const MAX_ERRORS = 20;
+const MAX_DEPTH = 32;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(schema, root) {
+  if (!schema || typeof schema.$ref !== 'string') return schema;
+  const path = schema.$ref.replace(/^#\/?/, '').split('/').filter(Boolean);
+  return path.reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root) || {};
+}
+
+function check(value, schema, root, path, errors, depth) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${path} is not allowed`);
+    return;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push(`${path}: schema is nested too deeply`);
+    return;
+  }
+
+  schema = resolveRef(schema, root);
+  const fail = (message) => errors.push(`${path} ${message}`);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`should be ${types.join(' or ')} but is ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      let pattern = null;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        fail('has an invalid pattern in the schema');
+      }
+      if (pattern && !pattern.test(value)) fail(`should match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`should be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => check(item, schema.items, root, `${path}[${i}]`, errors, depth + 1));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`is missing "${key}"`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        check(item, properties[key], root, `${path}.${key}`, errors, depth + 1);
+      } else if (schema.additionalProperties === false) {
+        fail(`has unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, root, `${path}.${key}`, errors, depth + 1);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    check(value, sub, root, path, errors, depth + 1);
+  }
+
+  const passing = (subs) => subs.filter(sub => {
+    const subErrors = [];
+    check(value, sub, root, path, subErrors, depth + 1);
+    return subErrors.length === 0;
+  }).length;
+
+  if (schema.anyOf && passing(schema.anyOf) === 0) fail('does not match any of the allowed shapes');
+  if (schema.oneOf && passing(schema.oneOf) !== 1) fail('should match exactly one of the allowed shapes');
+}
+
+// Returns { valid, errors } where errors are readable messages such as
+// `$.items[0].price should be number but is string`
+export function validateJSONSchema(value, schema) {
+  const errors = [];
+  check(value, schema, schema, '$', errors, 0);
+  return { valid: errors.length === 0, errors };
+}
+
+// Parse a schema written by a user; returns { schema } or { error }
+export function parseJSONSchema(text) {
+  let schema;
+  try {
+    schema = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    return { error: `Schema is not valid JSON: ${error.message}` };
+  }
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return { error: 'Schema must be a JSON object' };
+  }
+
+  return { schema };
+}
+
+// Models often wrap JSON in a ``` fence or a sentence; take the JSON out.
+// Returns { value } or { error }.
+export function extractJSON(text) {
+  const source = String(text || '').trim();
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], source];
+
+  const start = source.search(/[[{]/);
+  if (start !== -1) {
+    const end = Math.max(source.lastIndexOf('}'), source.lastIndexOf(']'));
+    if (end > start) candidates.push(source.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate.trim()) };
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+
+  return { error: 'The reply is not valid JSON' };
+}
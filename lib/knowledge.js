@@ -0,0 +1,128 @@
+// lib/knowledge.js - Indexed knowledge file chunks, shared by every version of a GPT
+//
+// `knowledge_chunks` (id, gpt_id, file_name, content_hash, chunk_index,
+// content, embedding) holds the chunks of each file text a GPT has used. Rows
+// are keyed by the SHA-256 of the text, which every file in gpt_data carries
+// as files[].contentHash, so a draft that replaces a file indexes the new
+// text next to the chunks the published version still reads. Chunks indexed
+// before hashes were kept have content_hash null and are found by file name.
+import { createHash } from 'crypto';
+import { chunkText, embeddingsEnabled, embeddingModel, embedTexts } from './retrieval.js';
+import { findInjection, logGuardrailEvent } from './guardrails.js';
+
+const EMBEDDING_BATCH_SIZE = 64;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Hex SHA-256 of a file's text, as the browser computes it with crypto.subtle
+export function contentHash(content) {
+  return createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+export function isContentHash(value) {
+  return typeof value === 'string' && HASH_PATTERN.test(value);
+}
+
+// The same files with contentHash computed from their text on the server
+export function withContentHashes(files) {
+  return (files || []).map(file => (
+    typeof file?.content === 'string' ? { ...file, contentHash: contentHash(file.content) } : file
+  ));
+}
+
+// Which indexed texts a copy of the GPT reads: { hashes, legacyNames }
+export function knowledgeReferences(gptData) {
+  const hashes = new Set();
+  const legacyNames = new Set();
+
+  for (const file of gptData?.files || []) {
+    if (isContentHash(file.contentHash)) {
+      hashes.add(file.contentHash);
+    } else if (file.name) {
+      legacyNames.add(file.name);
+    }
+  }
+
+  return { hashes, legacyNames };
+}
+
+// Chunk (and optionally embed) one segment of a file text and store it under
+// its hash. Segment 0 replaces any earlier, possibly partial, index of the same
+// text; later segments continue numbering at startIndex. Chunks that read like
+// instructions to the model are logged as a guardrail event; chat leaves them
+// out. Returns { chunks, flaggedChunks, embeddingModel }.
+export async function indexChunks(supabase, { gptId, userId, fileName, hash, content, segment = 0, startIndex = 0 }) {
+  if (segment === 0) {
+    const { error } = await supabase
+      .from('knowledge_chunks')
+      .delete()
+      .eq('gpt_id', gptId)
+      .eq('content_hash', hash);
+
+    if (error) throw error;
+  }
+
+  const texts = chunkText(content);
+
+  let embeddings = [];
+  if (embeddingsEnabled()) {
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      embeddings.push(...await embedTexts(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+    }
+  }
+
+  const rows = texts.map((text, i) => ({
+    gpt_id: gptId,
+    file_name: fileName,
+    content_hash: hash,
+    chunk_index: startIndex + i,
+    content: text,
+    embedding: embeddings[i] || null
+  }));
+
+  if (rows.length > 0) {
+    const { error } = await supabase.from('knowledge_chunks').insert(rows);
+    if (error) throw error;
+  }
+
+  const flagged = texts.map(text => ({ text, rule: findInjection(text) })).filter(chunk => chunk.rule);
+
+  if (flagged.length > 0) {
+    await logGuardrailEvent(supabase, {
+      gptId,
+      userId,
+      stage: 'knowledge',
+      category: 'knowledge_injection',
+      rule: `${fileName}: ${flagged.length} part${flagged.length === 1 ? '' : 's'} read like instructions to the model`,
+      excerpt: flagged[0].text
+    });
+  }
+
+  return {
+    chunks: rows.length,
+    flaggedChunks: flagged.length,
+    embeddingModel: embeddings.length > 0 ? embeddingModel() : null
+  };
+}
+
+// Index the files of a version whose texts have no chunks any more, e.g. an
+// old version being published again after its files were pruned
+export async function ensureIndexed(supabase, { gptId, userId, gptData }) {
+  const files = (gptData?.files || []).filter(file => isContentHash(file.contentHash) && typeof file.content === 'string');
+  if (files.length === 0) return;
+
+  const { data: rows, error } = await supabase
+    .from('knowledge_chunks')
+    .select('content_hash')
+    .eq('gpt_id', gptId)
+    .in('content_hash', [...new Set(files.map(file => file.contentHash))]);
+
+  if (error) throw error;
+
+  const indexed = new Set((rows || []).map(row => row.content_hash));
+
+  for (const file of files) {
+    if (indexed.has(file.contentHash)) continue;
+    await indexChunks(supabase, { gptId, userId, fileName: file.name, hash: file.contentHash, content: file.content });
+    indexed.add(file.contentHash);
+  }
+}
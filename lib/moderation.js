@@ -0,0 +1,107 @@
+// lib/moderation.js - Pluggable content classifiers for chat guardrails
+//
+// MODERATION_PROVIDER selects the backend:
+//   openai - OpenAI's moderation endpoint with OPENAI_API_KEY (optional
+//            OPENAI_BASE_URL and OPENAI_MODERATION_MODEL)
+//   http   - POST MODERATION_API_URL { input } with an optional bearer
+//            MODERATION_API_KEY; understands { flagged, categories } where
+//            categories is a list of names or an object of booleans
+//   stub   - flags text containing "[flag]", for local development and testing
+// Without a provider only the keyword/regex rules in lib/guardrails.js apply.
+// More backends can be added with registerModerationProvider().
+
+const MODERATION_TIMEOUT_MS = 5000;
+// Longer texts are classified by their first and last part
+const MAX_MODERATION_INPUT = 20000;
+
+const providers = {
+  openai: openaiModeration,
+  http: httpModeration,
+  stub: stubModeration
+};
+
+export function registerModerationProvider(name, classify) {
+  providers[name] = classify;
+}
+
+export function moderationEnabled() {
+  const name = process.env.MODERATION_PROVIDER;
+  return Boolean(name && providers[name]);
+}
+
+function clip(text) {
+  if (text.length <= MAX_MODERATION_INPUT) return text;
+  const half = MAX_MODERATION_INPUT / 2;
+  return text.slice(0, half) + '\n...\n' + text.slice(-half);
+}
+
+// Category names from { name: true } objects or plain lists
+function flaggedCategories(categories) {
+  if (Array.isArray(categories)) return categories.map(String);
+  return Object.entries(categories || {}).filter(([, flagged]) => flagged).map(([name]) => name);
+}
+
+// Returns { flagged, categories: [names] }. Throws when the provider fails;
+// callers decide whether that blocks the chat.
+export async function moderateText(text) {
+  const classify = providers[process.env.MODERATION_PROVIDER];
+  if (!classify) return { flagged: false, categories: [] };
+
+  const result = await classify(clip(String(text || '')));
+  const categories = flaggedCategories(result.categories);
+
+  return {
+    flagged: Boolean(result.flagged) || categories.length > 0,
+    categories
+  };
+}
+
+async function openaiModeration(text) {
+  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+
+  const response = await fetch(`${baseUrl}/moderations`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+      input: text
+    }),
+    signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Moderation provider error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const result = data.results?.[0] || {};
+  return { flagged: result.flagged, categories: result.categories };
+}
+
+async function httpModeration(text) {
+  const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+  if (process.env.MODERATION_API_KEY) {
+    headers['Authorization'] = `Bearer ${process.env.MODERATION_API_KEY}`;
+  }
+
+  const response = await fetch(process.env.MODERATION_API_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ input: text }),
+    signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Moderation provider error: ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+async function stubModeration(text) {
+  const flagged = text.toLowerCase().includes('[flag]');
+  return { flagged, categories: flagged ? ['stub'] : [] };
+}
@@ -0,0 +1,51 @@
+// lib/openai-compat.js - Request and response shapes of the OpenAI API
+//
+// The /api/v1 routes speak the OpenAI chat completions format so existing
+// client libraries work against them with `baseURL: <site>/api/v1`.
+import crypto from 'crypto';
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  402: 'permission_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  405: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+// Errors go out as { error: { message, type, code } }
+export function sendError(res, status, message, code = null) {
+  return res.status(status).json({
+    error: {
+      message,
+      type: ERROR_TYPES[status] || 'server_error',
+      code
+    }
+  });
+}
+
+export function completionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Message content may be a string or a list of parts; only text is used
+export function toChatMessages(messages) {
+  return messages.map(message => ({
+    role: message?.role,
+    content: Array.isArray(message?.content)
+      ? message.content.filter(part => part?.type === 'text').map(part => part.text).join('\n')
+      : message?.content
+  }));
+}
+
+// OpenAI usage fields from the usage a completion reported (or estimated)
+export function formatUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
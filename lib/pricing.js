@@ -0,0 +1,262 @@
+// lib/pricing.js - What a subscription to a marketplace GPT costs
+//
+// Creators price a GPT in gpt_data.pricing, which publishing copies to the
+// user_gpts.pricing listing column:
+//   {
+//     currency: 'usd',                                  shown first
+//     prices: { usd: { month: 999, year: 9900 }, eur: { month: 899 } },
+//     trialDays: 7,
+//     coupons: [{ code: 'LAUNCH20', percentOff: 20, duration: 'once' }]
+//   }
+// Prices are in cents; each currency needs a monthly or an annual price (or
+// both). A coupon takes off percentOff or amountOff (cents of its own
+// `currency`) once, forever or for durationInMonths ('repeating'), and may
+// set maxRedemptions and expiresAt. Coupon codes are never part of the
+// public listing. GPTs saved before this have only gpt_data.monthlyPrice,
+// read as a monthly USD price.
+//
+// Checkout always charges the stored price, never one a browser sends. Each
+// coupon becomes one Stripe coupon on the creator's connected account, shared
+// by every checkout, so Stripe enforces maxRedemptions and expiresAt.
+import { createHash } from 'crypto';
+
+export const CURRENCIES = ['usd', 'eur', 'gbp', 'cad', 'aud'];
+export const INTERVALS = ['month', 'year'];
+export const COUPON_DURATIONS = ['once', 'forever', 'repeating'];
+
+// Share of every payment kept by the platform, as Stripe's application_fee_percent
+export const PLATFORM_FEE_PERCENT = readFeePercent(process.env.PLATFORM_FEE_PERCENT, 30);
+
+const MIN_PRICE = 50;
+const MAX_PRICE = 999999;
+const MAX_TRIAL_DAYS = 90;
+const MAX_COUPONS = 20;
+const MAX_COUPON_MONTHS = 36;
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function readFeePercent(value, fallback) {
+  const percent = parseFloat(value);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) return fallback;
+  // Stripe takes at most two decimals
+  return Math.round(percent * 100) / 100;
+}
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function formatCents(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+// Check the pricing a creator saved. Returns { pricing } or { error }.
+export function readPricing(gptData) {
+  const value = gptData?.pricing;
+
+  if (value === null || value === undefined) {
+    const monthly = Math.round((Number(gptData?.monthlyPrice) || 0) * 100);
+    return {
+      pricing: {
+        currency: 'usd',
+        prices: monthly > 0 ? { usd: { month: monthly } } : {},
+        trialDays: 0,
+        coupons: []
+      }
+    };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Pricing must be an object' };
+  }
+
+  const currency = String(value.currency || 'usd').toLowerCase();
+  if (!CURRENCIES.includes(currency)) {
+    return { error: `Prices can be in ${CURRENCIES.map(code => code.toUpperCase()).join(', ')}` };
+  }
+
+  const prices = {};
+  for (const [code, amounts] of Object.entries(value.prices || {})) {
+    const priceCurrency = code.toLowerCase();
+    if (!CURRENCIES.includes(priceCurrency)) {
+      return { error: `Prices can be in ${CURRENCIES.map(code => code.toUpperCase()).join(', ')}` };
+    }
+
+    const entry = {};
+    for (const interval of INTERVALS) {
+      const amount = amounts?.[interval];
+      if (amount === null || amount === undefined || amount === 0) continue;
+      if (!isWholeNumber(amount, MIN_PRICE, MAX_PRICE)) {
+        return { error: `Prices must be between ${formatCents(MIN_PRICE, priceCurrency)} and ${formatCents(MAX_PRICE, priceCurrency)}` };
+      }
+      entry[interval] = amount;
+    }
+
+    if (Object.keys(entry).length > 0) {
+      prices[priceCurrency] = entry;
+    }
+  }
+
+  if (Object.keys(prices).length > 0 && !prices[currency]) {
+    return { error: `Set a price in ${currency.toUpperCase()}, the currency shown first` };
+  }
+
+  const trialDays = value.trialDays || 0;
+  if (!isWholeNumber(trialDays, 0, MAX_TRIAL_DAYS)) {
+    return { error: `A free trial can be at most ${MAX_TRIAL_DAYS} days` };
+  }
+
+  const coupons = Array.isArray(value.coupons) ? value.coupons : [];
+  if (coupons.length > MAX_COUPONS) {
+    return { error: `A GPT can have at most ${MAX_COUPONS} coupons` };
+  }
+
+  const checked = [];
+  for (const coupon of coupons) {
+    const result = readCoupon(coupon, currency);
+    if (result.error) return result;
+    if (checked.some(other => other.code === result.coupon.code)) {
+      return { error: `Coupon ${result.coupon.code} is listed twice` };
+    }
+    checked.push(result.coupon);
+  }
+
+  return { pricing: { currency, prices, trialDays, coupons: checked } };
+}
+
+function readCoupon(coupon, defaultCurrency) {
+  const code = String(coupon?.code || '').trim().toUpperCase();
+  if (!COUPON_CODE_PATTERN.test(code)) {
+    return { error: 'Coupon codes are 3 to 32 letters, digits, dashes or underscores' };
+  }
+
+  const result = { code };
+
+  if (coupon.percentOff !== undefined && coupon.percentOff !== null) {
+    if (!isWholeNumber(coupon.percentOff, 1, 100)) {
+      return { error: `Coupon ${code}: the discount must be 1 to 100 percent` };
+    }
+    result.percentOff = coupon.percentOff;
+  } else {
+    const currency = String(coupon.currency || defaultCurrency).toLowerCase();
+    if (!CURRENCIES.includes(currency)) {
+      return { error: `Coupon ${code}: unknown currency ${currency.toUpperCase()}` };
+    }
+    if (!isWholeNumber(coupon.amountOff, 1, MAX_PRICE)) {
+      return { error: `Coupon ${code}: set a percentage or an amount off` };
+    }
+    result.amountOff = coupon.amountOff;
+    result.currency = currency;
+  }
+
+  const duration = coupon.duration || 'once';
+  if (!COUPON_DURATIONS.includes(duration)) {
+    return { error: `Coupon ${code}: the duration must be once, forever or repeating` };
+  }
+  result.duration = duration;
+
+  if (duration === 'repeating') {
+    if (!isWholeNumber(coupon.durationInMonths, 1, MAX_COUPON_MONTHS)) {
+      return { error: `Coupon ${code}: a repeating discount lasts 1 to ${MAX_COUPON_MONTHS} months` };
+    }
+    result.durationInMonths = coupon.durationInMonths;
+  }
+
+  if (coupon.maxRedemptions !== undefined && coupon.maxRedemptions !== null) {
+    if (!isWholeNumber(coupon.maxRedemptions, 1, 1000000)) {
+      return { error: `Coupon ${code}: the redemption limit must be a positive number` };
+    }
+    result.maxRedemptions = coupon.maxRedemptions;
+  }
+
+  if (coupon.expiresAt) {
+    const expires = new Date(coupon.expiresAt);
+    if (Number.isNaN(expires.getTime())) {
+      return { error: `Coupon ${code}: the expiry date is not a date` };
+    }
+    result.expiresAt = expires.toISOString();
+  }
+
+  return { coupon: result };
+}
+
+// The pricing of a user_gpts row (its pricing and monthly_price columns), or
+// null when what is stored doesn't check out
+export function listingPricing(row) {
+  const { pricing } = readPricing({ pricing: row.pricing, monthlyPrice: row.monthly_price });
+  return pricing || null;
+}
+
+// What the marketplace shows: everything but the coupon codes
+export function publicPricing(pricing) {
+  if (!pricing) return null;
+  return {
+    currency: pricing.currency,
+    prices: pricing.prices,
+    trialDays: pricing.trialDays,
+    hasCoupons: pricing.coupons.length > 0
+  };
+}
+
+// Monthly price in the main currency, in units rather than cents, for the
+// monthly_price column the marketplace sorts by. Annual-only GPTs count a
+// twelfth of the year.
+export function listedMonthlyPrice(pricing) {
+  const entry = pricing.prices[pricing.currency];
+  if (!entry) return 0;
+  const cents = entry.month ?? Math.round(entry.year / 12);
+  return cents / 100;
+}
+
+// The stored price for one currency and billing interval. Returns
+// { amount } in cents or { error }.
+export function checkoutPrice(pricing, currency, interval) {
+  if (!INTERVALS.includes(interval)) {
+    return { error: 'Choose monthly or annual billing' };
+  }
+
+  const amount = pricing.prices[currency]?.[interval];
+  if (!amount) {
+    return { error: `This GPT has no ${interval === 'year' ? 'annual' : 'monthly'} price in ${String(currency).toUpperCase()}` };
+  }
+
+  return { amount };
+}
+
+// Find a coupon the creator issued that applies to this checkout. Whether it
+// has redemptions left is up to its Stripe coupon. Returns { coupon } or { error }.
+export function findCoupon(pricing, code, currency, now = new Date()) {
+  const coupon = pricing.coupons.find(entry => entry.code === String(code || '').trim().toUpperCase());
+  if (!coupon) {
+    return { error: 'This coupon code is not valid' };
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.currency && coupon.currency !== currency) {
+    return { error: `This coupon only applies to prices in ${coupon.currency.toUpperCase()}` };
+  }
+  return { coupon };
+}
+
+// Id of the Stripe coupon for a creator's coupon on one GPT. Stripe coupons
+// can't be edited, so the id changes whenever the creator changes the terms.
+export function stripeCouponId(gptId, coupon) {
+  const terms = JSON.stringify([
+    gptId, coupon.code, coupon.percentOff, coupon.amountOff, coupon.currency,
+    coupon.duration, coupon.durationInMonths, coupon.maxRedemptions, coupon.expiresAt
+  ]);
+  return `gpt_${createHash('sha256').update(terms).digest('hex').slice(0, 32)}`;
+}
+
+// Parameters of the Stripe coupon for this coupon, without its redemption limit
+export function stripeCouponParams(coupon) {
+  return {
+    name: coupon.code,
+    duration: coupon.duration,
+    ...(coupon.durationInMonths ? { duration_in_months: coupon.durationInMonths } : {}),
+    ...(coupon.expiresAt ? { redeem_by: Math.floor(new Date(coupon.expiresAt).getTime() / 1000) } : {}),
+    ...(coupon.percentOff
+      ? { percent_off: coupon.percentOff }
+      : { amount_off: coupon.amountOff, currency: coupon.currency })
+  };
+}
@@ -0,0 +1,162 @@
+// lib/providers.js - OpenAI-compatible chat completion providers
+//
+// A model id names its provider with a prefix, e.g. `openai:gpt-4o-mini` or
+// `local:llama3.1`. Ids without a known prefix (`openai/gpt-4o-mini`,
+// `anthropic/claude-3-haiku`) go to OpenRouter.
+//   openrouter - OPENROUTER_API_KEY
+//   openai     - OPENAI_API_KEY, optional OPENAI_BASE_URL for any other
+//                OpenAI-compatible API
+//   local      - LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1) for a
+//                self-hosted server, optional LOCAL_LLM_API_KEY
+// More providers can be added with registerProvider().
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+// Used by GPTs that don't choose a model
+export const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'openai/gpt-4o-mini';
+const MAX_OUTPUT_TOKENS = parseInt(process.env.MAX_OUTPUT_TOKENS, 10) || 4000;
+const MAX_FALLBACKS = 3;
+
+const providers = {
+  openrouter: {
+    baseUrl: () => 'https://openrouter.ai/api/v1',
+    apiKey: () => process.env.OPENROUTER_API_KEY,
+    configured: () => Boolean(process.env.OPENROUTER_API_KEY),
+    headers: ({ referer }) => ({
+      'HTTP-Referer': referer || 'https://eringptbuilder.com',
+      'X-Title': 'ErinGPT Builder'
+    }),
+    // Ask OpenRouter to report token usage and cost
+    prepare: (payload) => ({ ...payload, usage: { include: true } })
+  },
+  openai: {
+    baseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    configured: () => Boolean(process.env.OPENAI_API_KEY),
+    prepare: withStreamUsage
+  },
+  local: {
+    baseUrl: () => process.env.LOCAL_LLM_BASE_URL,
+    apiKey: () => process.env.LOCAL_LLM_API_KEY,
+    configured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+    prepare: withStreamUsage
+  }
+};
+
+// OpenAI-style APIs only report usage on streams when asked to
+function withStreamUsage(payload) {
+  return payload.stream ? { ...payload, stream_options: { include_usage: true } } : payload;
+}
+
+// Model families that accept image input. VISION_MODELS adds more, as a
+// comma-separated list of model ids or id prefixes.
+const VISION_MODEL_PATTERN = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|claude-3|claude-(opus|sonnet|haiku)-4|gemini|llava|pixtral|vision|[-_]vl\b/i;
+
+export function supportsVision(modelId) {
+  const { model } = resolveModel(modelId);
+  const extra = (process.env.VISION_MODELS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return VISION_MODEL_PATTERN.test(model) || extra.some(id => String(modelId).startsWith(id));
+}
+
+// Used for messages with images when none of a GPT's models can see them
+export const VISION_MODEL = process.env.VISION_MODEL || (supportsVision(DEFAULT_MODEL) ? DEFAULT_MODEL : 'openai/gpt-4o-mini');
+
+// The part of a model chain that can read images. Without one, switch to
+// VISION_MODEL if allowed. Returns { models, switchedFrom } or { error }.
+export function visionModelChain(models, { allowSwitch = true } = {}) {
+  const capable = models.filter(supportsVision);
+
+  if (capable.length > 0) {
+    return { models: capable, switchedFrom: capable[0] !== models[0] ? models[0] : null };
+  }
+
+  if (!allowSwitch) {
+    return { error: `${models[0]} can't read images. Choose a vision model such as ${VISION_MODEL}, or remove the images.` };
+  }
+
+  return { models: [VISION_MODEL], switchedFrom: models[0] };
+}
+
+export function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+// Split a model id into its provider and the provider's own model name
+export function resolveModel(modelId) {
+  const id = String(modelId || '');
+  const separator = id.indexOf(':');
+  const prefix = separator > 0 ? id.slice(0, separator) : null;
+
+  if (prefix && providers[prefix]) {
+    return { provider: prefix, model: id.slice(separator + 1) };
+  }
+  return { provider: DEFAULT_PROVIDER, model: id };
+}
+
+export function providerConfigured(name) {
+  return Boolean(providers[name]?.configured());
+}
+
+// Names of the providers that have credentials or an endpoint configured
+export function configuredProviders() {
+  return Object.keys(providers).filter(providerConfigured);
+}
+
+// POST a chat completion request to the provider behind `payload.model`
+export function callProvider({ payload, referer, signal }) {
+  const { provider: name, model } = resolveModel(payload.model);
+  const provider = providers[name];
+
+  if (!provider.configured()) {
+    throw new Error(`Model provider "${name}" is not configured`);
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(provider.headers ? provider.headers({ referer }) : {})
+  };
+  const apiKey = provider.apiKey();
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const body = (provider.prepare || (p => p))({ ...payload, model });
+
+  return fetch(`${provider.baseUrl().replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+// Turn a GPT's stored `modelSettings` ({ model, temperature, maxTokens, topP,
+// fallbacks }) into the model chain and sampling parameters for a request.
+// Missing values use the defaults; numbers are clamped to their valid range.
+export function modelSettings(gptData = {}) {
+  const settings = gptData.modelSettings || {};
+  const primary = typeof settings.model === 'string' && settings.model.trim()
+    ? settings.model.trim()
+    : DEFAULT_MODEL;
+
+  const fallbacks = (Array.isArray(settings.fallbacks) ? settings.fallbacks : [])
+    .filter(model => typeof model === 'string' && model.trim())
+    .map(model => model.trim())
+    .filter(model => model !== primary)
+    .slice(0, MAX_FALLBACKS);
+
+  const topP = clamp(settings.topP, 0, 1, null);
+
+  return {
+    models: [...new Set([primary, ...fallbacks])],
+    parameters: {
+      temperature: clamp(settings.temperature, 0, 2, 0.7),
+      max_tokens: Math.round(clamp(settings.maxTokens, 1, MAX_OUTPUT_TOKENS, 1500)),
+      ...(topP !== null ? { top_p: topP } : {})
+    }
+  };
+}
@@ -0,0 +1,46 @@
+// lib/rate-limit.js - Fixed-window request limiting keyed by IP or user
+//
+// Counters live in the function instance's memory, so limits are enforced per
+// warm instance. That is enough to stop bursts from a single client; monthly
+// quotas (lib/usage.js) are the durable limit.
+
+const windows = new Map();
+
+export const RATE_LIMITS = {
+  ip: parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE, 10) || 30,
+  user: parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE, 10) || 20
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// Returns { allowed, retryAfter } where retryAfter is in seconds
+export function checkRateLimit(key, limit, windowMs = WINDOW_MS) {
+  const now = Date.now();
+  let window = windows.get(key);
+
+  if (!window || now >= window.resetAt) {
+    window = { count: 0, resetAt: now + windowMs };
+    windows.set(key, window);
+  }
+
+  window.count++;
+
+  // Drop expired windows now and then so the map can't grow without bound
+  if (windows.size > 10000) {
+    for (const [k, w] of windows) {
+      if (now >= w.resetAt) windows.delete(k);
+    }
+  }
+
+  if (window.count > limit) {
+    return { allowed: false, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+  }
+
+  return { allowed: true, retryAfter: 0 };
+}
+
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
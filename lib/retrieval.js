@@ -0,0 +1,162 @@
+// lib/retrieval.js - Chunking and ranking of knowledge files (BM25 + optional embeddings)
+
+const CHUNK_SIZE = 1200;    // characters per chunk
+const CHUNK_OVERLAP = 200;  // characters repeated between neighbouring chunks
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// Split text into overlapping chunks, preferring paragraph and sentence breaks
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const clean = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+
+    if (end < clean.length) {
+      const window = clean.slice(start, end);
+      const breakAt = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('. '),
+        window.lastIndexOf('\n')
+      );
+      // Only honour the break if it doesn't leave a tiny chunk behind
+      if (breakAt > size / 2) end = start + breakAt + 1;
+    }
+
+    const chunk = clean.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+
+    if (end >= clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+// Rank chunks against a query with Okapi BM25. Returns [{ chunk, score }]
+export function bm25Rank(chunks, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+  const docs = chunks.map(chunk => {
+    const terms = tokenize(chunk.content);
+    const tf = new Map();
+    terms.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+    return { chunk, tf, length: terms.length };
+  });
+
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+  const idf = new Map(queryTerms.map(term => {
+    const df = docs.filter(doc => doc.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(doc => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const freq = doc.tf.get(term);
+        if (!freq) continue;
+        score += idf.get(term) * (freq * (BM25_K1 + 1)) /
+          (freq + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      }
+      return { chunk: doc.chunk, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Optional embedding backend: any OpenAI-compatible /embeddings endpoint
+export function embeddingsEnabled() {
+  return Boolean(process.env.EMBEDDINGS_API_URL && process.env.EMBEDDINGS_API_KEY);
+}
+
+export function embeddingModel() {
+  return process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
+}
+
+export async function embedTexts(texts) {
+  const response = await fetch(process.env.EMBEDDINGS_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.EMBEDDINGS_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ model: embeddingModel(), input: texts })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Embeddings API error: ${response.status}`);
+  }
+
+  return data.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+// Pick the chunks most relevant to the query. BM25 always runs; when chunks
+// carry embeddings and the backend is configured, both rankings are merged
+// with reciprocal rank fusion.
+export async function selectChunks(chunks, query, limit = 5) {
+  const lexical = bm25Rank(chunks, query);
+
+  const embedded = chunks.filter(chunk => Array.isArray(chunk.embedding));
+  if (!embeddingsEnabled() || embedded.length === 0) {
+    return lexical.slice(0, limit).map(result => result.chunk);
+  }
+
+  let semantic = [];
+  try {
+    const [queryEmbedding] = await embedTexts([query]);
+    semantic = embedded
+      .map(chunk => ({ chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    // Fall back to lexical ranking if the embedding backend is down
+    console.error('Query embedding failed:', error.message);
+    return lexical.slice(0, limit).map(result => result.chunk);
+  }
+
+  const fused = new Map();
+  [lexical, semantic].forEach(ranking => {
+    ranking.slice(0, 50).forEach((result, rank) => {
+      const entry = fused.get(result.chunk.id) || { chunk: result.chunk, score: 0 };
+      entry.score += 1 / (60 + rank);
+      fused.set(result.chunk.id, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.chunk);
+}
@@ -0,0 +1,88 @@
+// lib/search.js - Pluggable web search providers for GPTs with web search enabled
+//
+// SEARCH_PROVIDER selects the backend:
+//   http - GET SEARCH_API_URL?q=<query>&count=<n> with an optional bearer
+//          SEARCH_API_KEY; understands { results: [...] } and { web: { results } }
+//   stub - canned results, for local development and testing
+// More backends can be added with registerSearchProvider().
+
+const SEARCH_TIMEOUT_MS = 8000;
+const MAX_SNIPPET_LENGTH = 500;
+
+const providers = {
+  http: httpSearch,
+  stub: stubSearch
+};
+
+export function registerSearchProvider(name, search) {
+  providers[name] = search;
+}
+
+export function searchEnabled() {
+  const name = process.env.SEARCH_PROVIDER;
+  return Boolean(name && providers[name] && (name !== 'http' || process.env.SEARCH_API_URL));
+}
+
+// Tool definition offered to the model
+export const WEB_SEARCH_TOOL = {
+  type: 'function',
+  function: {
+    name: 'web_search',
+    description: 'Search the web for current or factual information that is not in your instructions or documents. Returns numbered results with titles, URLs and snippets.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The search query' }
+      },
+      required: ['query']
+    }
+  }
+};
+
+// Returns [{ title, url, snippet }]
+export async function webSearch(query, limit = 5) {
+  const search = providers[process.env.SEARCH_PROVIDER];
+  if (!search) throw new Error('Web search is not configured');
+
+  const results = await search(query, limit);
+  return results.slice(0, limit).map(result => ({
+    title: String(result.title || result.url),
+    url: String(result.url),
+    snippet: String(result.snippet || '').slice(0, MAX_SNIPPET_LENGTH)
+  }));
+}
+
+async function httpSearch(query, limit) {
+  const url = new URL(process.env.SEARCH_API_URL);
+  url.searchParams.set('q', query);
+  url.searchParams.set('count', String(limit));
+
+  const headers = { 'Accept': 'application/json' };
+  if (process.env.SEARCH_API_KEY) {
+    headers['Authorization'] = `Bearer ${process.env.SEARCH_API_KEY}`;
+  }
+
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Search provider error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const results = data.results || data.web?.results || [];
+
+  return results
+    .filter(result => result.url)
+    .map(result => ({
+      title: result.title,
+      url: result.url,
+      snippet: result.snippet || result.description || result.content
+    }));
+}
+
+async function stubSearch(query, limit) {
+  return Array.from({ length: Math.min(limit, 3) }, (_, i) => ({
+    title: `Stub result ${i + 1} for "${query}"`,
+    url: `https://example.com/search/${encodeURIComponent(query)}/${i + 1}`,
+    snippet: `Placeholder snippet ${i + 1} about ${query}.`
+  }));
+}
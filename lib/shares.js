@@ -0,0 +1,139 @@
+// lib/shares.js - Public share links and website embeds of a GPT
+//
+// A share lives in `gpt_shares` (id, gpt_id, user_id, token, label,
+// password_hash, expires_at, allowed_origins text[], theme jsonb,
+// daily_message_limit, monthly_token_limit, revoked, created_at). Anyone with
+// the token can chat with the GPT's published version without an account;
+// the creator's plan pays for it. Chats are logged to chat_usage with
+// share_id so each share's limits can be enforced.
+import crypto from 'crypto';
+import { isAllowedOrigin } from './cors.js';
+
+// Used when a share doesn't set its own daily limit
+export const DEFAULT_SHARE_DAILY_MESSAGES = parseInt(process.env.DEFAULT_SHARE_DAILY_MESSAGES, 10) || 200;
+
+const SHARE_COLUMNS = 'id, gpt_id, user_id, token, label, password_hash, expires_at, allowed_origins, theme, daily_message_limit, monthly_token_limit, revoked, created_at';
+
+export function generateShareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// Stored as `scrypt:<salt>:<hash>`
+export function hashSharePassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+export function verifySharePassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// A share that has not been revoked, or null
+export async function findShare(supabase, token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const { data, error } = await supabase
+    .from('gpt_shares')
+    .select(SHARE_COLUMNS)
+    .eq('token', token)
+    .eq('revoked', false)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export function shareExpired(share) {
+  return Boolean(share.expires_at && new Date(share.expires_at) <= new Date());
+}
+
+// Check a request may chat through a share. Returns { share, gpt } or
+// { status, error } with the HTTP status to send back. The password comes in
+// the X-Share-Password header.
+export async function authorizeShare(supabase, req, token) {
+  const share = await findShare(supabase, token);
+  if (!share) {
+    return { status: 404, error: 'Share link not found' };
+  }
+
+  if (shareExpired(share)) {
+    return { status: 410, error: 'This share link has expired' };
+  }
+
+  if (!isAllowedOrigin(req, share.allowed_origins)) {
+    return { status: 403, error: 'This GPT cannot be embedded on this site' };
+  }
+
+  if (share.password_hash && !verifySharePassword(req.headers['x-share-password'], share.password_hash)) {
+    return { status: 401, error: 'Password required', passwordRequired: true };
+  }
+
+  const { data: gpt, error } = await supabase
+    .from('user_gpts')
+    .select('*')
+    .eq('id', share.gpt_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!gpt) {
+    return { status: 404, error: 'Share link not found' };
+  }
+
+  return { share, gpt };
+}
+
+// Per-share limits: messages per UTC day and tokens per calendar month.
+// Returns { allowed, error, retryAfter }.
+export async function checkShareLimits(supabase, share) {
+  const now = new Date();
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const dailyLimit = share.daily_message_limit ?? DEFAULT_SHARE_DAILY_MESSAGES;
+  if (dailyLimit > 0) {
+    const { count, error } = await supabase
+      .from('chat_usage')
+      .select('id', { count: 'exact', head: true })
+      .eq('share_id', share.id)
+      .gte('created_at', startOfDay.toISOString());
+
+    if (error) throw error;
+
+    if (count >= dailyLimit) {
+      return {
+        allowed: false,
+        error: 'This GPT has reached its daily message limit, please try again tomorrow',
+        retryAfter: Math.ceil((startOfDay.getTime() + 24 * 60 * 60 * 1000 - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  if (share.monthly_token_limit > 0) {
+    const { data, error } = await supabase
+      .from('chat_usage')
+      .select('total_tokens')
+      .eq('share_id', share.id)
+      .gte('created_at', startOfMonth.toISOString());
+
+    if (error) throw error;
+
+    const used = (data || []).reduce((sum, row) => sum + (row.total_tokens || 0), 0);
+    if (used >= share.monthly_token_limit) {
+      const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+      return {
+        allowed: false,
+        error: 'This GPT has reached its monthly usage limit',
+        retryAfter: Math.ceil((nextMonth - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true, error: null, retryAfter: 0 };
+}
@@ -0,0 +1,51 @@
+// lib/sse.js - Server-Sent Events helpers shared by the streaming API routes
+
+// Open an SSE response. Must be called before anything else is written.
+export function startSSE(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies (nginx, Vercel edge) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+}
+
+// Write one named event with a JSON payload
+export function writeSSE(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Iterate the JSON payloads of an upstream OpenAI-style SSE stream
+// (`data: {...}` lines terminated by `data: [DONE]`)
+export async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      // Skip blank separators and ": keep-alive" comments
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      if (!payload) continue;
+
+      yield JSON.parse(payload);
+    }
+  }
+}
+
+// Write one unnamed event the way OpenAI streams do (`data: {...}`); pass
+// '[DONE]' to send the terminator
+export function writeSSEData(res, data) {
+  if (res.writableEnded) return;
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,39 @@
+// lib/starters.js - How a chat with a GPT opens
+//
+// gpt_data.welcomeMessage is shown as the GPT's first message in a new chat
+// (it is never sent to the model) and gpt_data.conversationStarters are
+// prompts shown as buttons until the first message is sent.
+
+const MAX_WELCOME_LENGTH = 1000;
+const MAX_STARTERS = 4;
+const MAX_STARTER_LENGTH = 200;
+
+// Check what a creator saved. Returns { welcomeMessage,
+// conversationStarters } or { error }.
+export function readStarterSettings(gptData) {
+  const welcomeMessage = String(gptData?.welcomeMessage || '').trim();
+  if (welcomeMessage.length > MAX_WELCOME_LENGTH) {
+    return { error: `The welcome message can be at most ${MAX_WELCOME_LENGTH} characters` };
+  }
+
+  const conversationStarters = (Array.isArray(gptData?.conversationStarters) ? gptData.conversationStarters : [])
+    .map(starter => String(starter).trim())
+    .filter(Boolean);
+
+  if (conversationStarters.length > MAX_STARTERS) {
+    return { error: `A GPT can have at most ${MAX_STARTERS} conversation starters` };
+  }
+  if (conversationStarters.some(starter => starter.length > MAX_STARTER_LENGTH)) {
+    return { error: `Conversation starters can be at most ${MAX_STARTER_LENGTH} characters` };
+  }
+
+  return { welcomeMessage, conversationStarters: [...new Set(conversationStarters)] };
+}
+
+// The opening of a copy of the GPT as shown to people who can't see the rest
+export function starterSettings(gptData) {
+  return {
+    welcomeMessage: gptData?.welcomeMessage || '',
+    conversationStarters: Array.isArray(gptData?.conversationStarters) ? gptData.conversationStarters : []
+  };
+}
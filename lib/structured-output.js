@@ -0,0 +1,104 @@
+// lib/structured-output.js - Replies that follow a GPT's JSON schema
+//
+// A GPT with gpt_data.outputSchema (a JSON Schema object) answers in JSON
+// instead of prose: the request asks the model for structured output, and
+// the reply is checked against the schema with lib/json-schema.js. An
+// invalid reply goes back to the model once together with the errors; if
+// the second answer fails too it is returned as it is, marked invalid.
+import { parseJSONSchema, validateJSONSchema, extractJSON } from './json-schema.js';
+import { runCompletion, addUsage } from './completion.js';
+
+const MAX_SCHEMA_LENGTH = 20000;
+const MAX_RETRIES = 1;
+const MAX_ERRORS_SHOWN = 10;
+
+// Check the schema a creator saved. Returns { outputSchema } (null when the
+// GPT answers in prose) or { error }.
+export function readOutputSchema(value) {
+  if (value === null || value === undefined || value === '') {
+    return { outputSchema: null };
+  }
+
+  const { schema, error } = parseJSONSchema(value);
+  if (error) {
+    return { error: `Output schema: ${error}` };
+  }
+
+  if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+    return { error: `The output schema can be at most ${MAX_SCHEMA_LENGTH} characters` };
+  }
+
+  return { outputSchema: schema };
+}
+
+// The schema a copy of the GPT answers with, or null
+export function outputSchema(gptData) {
+  const schema = gptData?.outputSchema;
+  return schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null;
+}
+
+// Added to the system prompt; models that ignore response_format still
+// see what is expected
+export function structuredOutputInstructions(schema) {
+  return '\n\nAnswer only with a single JSON value that is valid against this JSON Schema. ' +
+    'Do not add any text before or after it and do not wrap it in a code block.\n\n' +
+    JSON.stringify(schema);
+}
+
+// The OpenAI `response_format` of a request for this schema. Not strict:
+// strict mode rejects most hand-written schemas.
+export function responseFormat(schema) {
+  return {
+    type: 'json_schema',
+    json_schema: { name: 'reply', schema, strict: false }
+  };
+}
+
+// Returns { value, valid, errors }; value is null when the reply isn't JSON
+export function checkStructuredReply(message, schema) {
+  const parsed = extractJSON(message);
+  if (parsed.error) {
+    return { value: null, valid: false, errors: [parsed.error] };
+  }
+
+  const { valid, errors } = validateJSONSchema(parsed.value, schema);
+  return { value: parsed.value, valid, errors };
+}
+
+// Run a completion built by buildCompletion() for a GPT with an output
+// schema; `options` (signal, onToolCall) go to runCompletion(). Resolves like
+// runCompletion() (usage adds up all attempts) plus `structured`: { value,
+// valid, errors, attempts }.
+export async function runStructuredCompletion(completion, schema, options = {}) {
+  const messages = [...completion.payload.messages];
+  let usage = null;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await runCompletion({
+      ...completion,
+      ...options,
+      payload: { ...completion.payload, messages }
+    });
+    usage = addUsage(usage, result.usage);
+
+    const check = checkStructuredReply(result.message, schema);
+    if (check.valid || attempt > MAX_RETRIES) {
+      return {
+        ...result,
+        message: check.valid ? JSON.stringify(check.value, null, 2) : result.message,
+        usage,
+        structured: { ...check, attempts: attempt }
+      };
+    }
+
+    messages.push(
+      { role: 'assistant', content: result.message },
+      {
+        role: 'user',
+        content: 'Your reply does not match the required JSON Schema:\n' +
+          check.errors.slice(0, MAX_ERRORS_SHOWN).map(error => `- ${error}`).join('\n') +
+          '\nReply again with only the corrected JSON.'
+      }
+    );
+  }
+}
@@ -0,0 +1,88 @@
+// lib/tools.js - Tools a GPT exposes to the model during chat
+import { searchEnabled, webSearch, WEB_SEARCH_TOOL } from './search.js';
+import { parseActions, executeAction } from './actions.js';
+
+// Collect the tools enabled for this GPT. Returns the OpenAI-style tool list,
+// extra system instructions, an executor for the model's tool calls and the
+// web citations gathered while the tools ran.
+export function buildToolbox(gptData) {
+  const tools = [];
+  const handlers = {};
+  const citations = [];
+  let instructions = '';
+
+  if (gptData.webSearch && searchEnabled()) {
+    tools.push(WEB_SEARCH_TOOL);
+    instructions += '\n\nYou can look things up with the web_search tool when a question needs current or external information. ' +
+      'Cite web results inline as markdown links using their label, e.g. [W1](https://example.com/page).';
+
+    handlers.web_search = async ({ query }) => {
+      if (!query || typeof query !== 'string') return 'Tool error: query is required';
+
+      const results = await webSearch(query);
+      if (results.length === 0) return 'No results found.';
+
+      return results.map(result => {
+        let citation = citations.find(c => c.url === result.url);
+        if (!citation) {
+          citation = { label: `W${citations.length + 1}`, title: result.title, url: result.url };
+          citations.push(citation);
+        }
+        return `[${citation.label}] ${result.title}\n${result.url}\n${result.snippet}`;
+      }).join('\n\n');
+    };
+  }
+
+  // Custom Actions from the GPT's OpenAPI schema. A schema that no longer
+  // parses disables the actions rather than failing the chat.
+  let operations = [];
+  try {
+    operations = parseActions(gptData.actions);
+  } catch (error) {
+    console.error('Invalid actions schema:', error.message);
+  }
+
+  for (const operation of operations) {
+    if (handlers[operation.name]) continue;
+    tools.push(operation.tool);
+    handlers[operation.name] = (args) => executeAction(operation, args, gptData.actions.auth);
+  }
+
+  async function execute(call) {
+    const handler = handlers[call.function.name];
+    if (!handler) return `Tool error: unknown tool ${call.function.name}`;
+
+    let args;
+    try {
+      args = JSON.parse(call.function.arguments || '{}');
+    } catch {
+      return 'Tool error: arguments were not valid JSON';
+    }
+
+    return handler(args);
+  }
+
+  return { tools, instructions, execute, citations };
+}
+
+// What the browser is told about a tool call (never the raw tool output)
+export function describeToolCall(call, phase, result) {
+  let args = {};
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch {
+    // Partial or invalid arguments are shown as empty
+  }
+
+  return {
+    id: call.id,
+    name: call.function.name,
+    arguments: args,
+    phase,
+    ...(phase === 'end' ? {
+      failed: typeof result === 'string' && (result.startsWith('Tool error') || /^HTTP [45]\d\d/.test(result)),
+      // First line only, e.g. "HTTP 200"; response bodies stay on the server
+      summary: String(result).split('\n')[0].slice(0, 120)
+    } : {})
+  };
+}
@@ -0,0 +1,151 @@
+// lib/usage.js - Token usage metering and per-plan monthly quotas
+//
+// Every chat call is logged to `chat_usage` (user_id, gpt_id, share_id,
+// api_key_id, model, prompt_tokens, completion_tokens, total_tokens, cost_usd,
+// latency_ms, status, created_at). Chats through a share link are logged to
+// the creator.
+
+import { ACTIVE_SUBSCRIPTION_STATUSES } from './auth.js';
+import { resolveModel } from './providers.js';
+import { estimateTokens } from './history.js';
+import { workspacePayers } from './workspaces.js';
+
+// Monthly token allowance per plan. Subscriber quotas apply per subscribed GPT.
+export const PLAN_QUOTAS = {
+  free: parseInt(process.env.QUOTA_FREE_MONTHLY_TOKENS, 10) || 200000,
+  creator: parseInt(process.env.QUOTA_CREATOR_MONTHLY_TOKENS, 10) || 2000000,
+  subscriber: parseInt(process.env.QUOTA_SUBSCRIBER_MONTHLY_TOKENS, 10) || 500000
+};
+
+// USD per million tokens, used when the provider doesn't report a cost
+const MODEL_PRICES = {
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'anthropic/claude-3-sonnet': { prompt: 3, completion: 15 }
+};
+const DEFAULT_PRICE = { prompt: 1, completion: 3 };
+
+export function estimateCost(modelId, usage = {}) {
+  if (typeof usage.cost === 'number') return usage.cost;
+
+  // Prices are listed under OpenRouter ids; self-hosted models cost nothing
+  const { provider, model } = resolveModel(modelId);
+  if (provider === 'local') return 0;
+  const id = provider === 'openai' ? `openai/${model}` : model;
+
+  const price = MODEL_PRICES[id] || MODEL_PRICES[Object.keys(MODEL_PRICES).find(key => id.startsWith(key))] || DEFAULT_PRICE;
+  return ((usage.prompt_tokens || 0) * price.prompt + (usage.completion_tokens || 0) * price.completion) / 1e6;
+}
+
+function startOfMonth() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function secondsUntilNextMonth() {
+  const now = new Date();
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return Math.ceil((next - now) / 1000);
+}
+
+// Owners are on the creator plan if they or the owner of one of their
+// workspaces hold an active creator subscription; chatting with someone
+// else's GPT uses the subscriber plan for that GPT
+export async function resolvePlan(supabase, user, access) {
+  if (access === 'subscriber') return 'subscriber';
+
+  const payers = [user.id, ...await workspacePayers(supabase, user.id)];
+
+  const { data: creatorSub, error } = await supabase
+    .from('creator_subscriptions')
+    .select('id')
+    .in('user_id', payers)
+    .in('status', ACTIVE_SUBSCRIPTION_STATUSES)
+    .limit(1)
+    .maybeSingle();
+
+  // A failed lookup must not drop a paying creator to the free plan
+  if (error) throw error;
+
+  return creatorSub ? 'creator' : 'free';
+}
+
+export async function getMonthlyUsage(supabase, userId, gptId = null) {
+  let query = supabase
+    .from('chat_usage')
+    .select('total_tokens')
+    .eq('user_id', userId)
+    .gte('created_at', startOfMonth().toISOString());
+
+  if (gptId) query = query.eq('gpt_id', gptId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).reduce((sum, row) => sum + (row.total_tokens || 0), 0);
+}
+
+// Returns { allowed, plan, used, limit, retryAfter }
+export async function checkQuota(supabase, user, plan, gptId) {
+  const limit = PLAN_QUOTAS[plan];
+  const used = await getMonthlyUsage(supabase, user.id, plan === 'subscriber' ? gptId : null);
+
+  return {
+    allowed: used < limit,
+    plan,
+    used,
+    limit,
+    retryAfter: used < limit ? 0 : secondsUntilNextMonth()
+  };
+}
+
+// Failures to record usage are logged but never fail the chat request
+export async function recordUsage(supabase, { userId, gptId, shareId = null, apiKeyId = null, model, usage = {}, latencyMs, status }) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  const { error } = await supabase
+    .from('chat_usage')
+    .insert({
+      user_id: userId,
+      gpt_id: gptId,
+      share_id: shareId,
+      api_key_id: apiKeyId,
+      model,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.total_tokens || promptTokens + completionTokens,
+      cost_usd: estimateCost(model, usage),
+      latency_ms: latencyMs,
+      status
+    });
+
+  if (error) {
+    console.error('Error recording usage:', error);
+  }
+}
+
+// Log a finished completion. `meter` is { userId, gptId, shareId, apiKeyId,
+// model, startedAt, promptTokens } captured before the upstream call. Streams
+// that were stopped or failed may not report usage, so tokens are estimated
+// from the text in that case. Resolves with the usage that was recorded.
+export async function finishMeter(supabase, meter, { modelId, usage, message = '', status }) {
+  const measured = usage && usage.total_tokens ? usage : {
+    prompt_tokens: meter.promptTokens,
+    completion_tokens: estimateTokens(message)
+  };
+
+  await recordUsage(supabase, {
+    userId: meter.userId,
+    gptId: meter.gptId,
+    shareId: meter.shareId,
+    apiKeyId: meter.apiKeyId,
+    model: modelId || meter.model,
+    usage: measured,
+    latencyMs: Date.now() - meter.startedAt,
+    status
+  });
+
+  return measured;
+}
@@ -0,0 +1,44 @@
+// lib/users.js - Public names for users shown to other users
+
+// Display names come from auth metadata; emails are never shown. A failed
+// lookup only costs the name. Returns { [userId]: name } for the users that
+// have one.
+export async function displayNames(supabase, userIds) {
+  const names = {};
+
+  await Promise.all([...new Set(userIds)].filter(Boolean).map(async (userId) => {
+    try {
+      const { data, error } = await supabase.auth.admin.getUserById(userId);
+      if (error || !data?.user) return;
+
+      const metadata = data.user.user_metadata || {};
+      const name = metadata.display_name || metadata.full_name || metadata.name;
+      if (name) names[userId] = String(name).slice(0, 80);
+    } catch (error) {
+      console.error('Error loading display name:', error.message);
+    }
+  }));
+
+  return names;
+}
+
+// Members of a workspace see each other's emails, since that is how they
+// were invited. Returns { [userId]: { name, email } }.
+export async function teammates(supabase, userIds) {
+  const people = {};
+
+  await Promise.all([...new Set(userIds)].filter(Boolean).map(async (userId) => {
+    try {
+      const { data, error } = await supabase.auth.admin.getUserById(userId);
+      if (error || !data?.user) return;
+
+      const metadata = data.user.user_metadata || {};
+      const name = metadata.display_name || metadata.full_name || metadata.name || data.user.email;
+      people[userId] = { name: String(name || '').slice(0, 80), email: data.user.email || null };
+    } catch (error) {
+      console.error('Error loading teammate:', error.message);
+    }
+  }));
+
+  return people;
+}
@@ -0,0 +1,43 @@
+// lib/versions.js - Draft and published copies of a GPT
+//
+// user_gpts.gpt_data is the creator's working draft. Every save through
+// /api/versions also adds an immutable row to `gpt_versions` (gpt_id, version,
+// gpt_data, author_id, note, created_at). Publishing copies one version to
+// user_gpts.published_data / published_version, which is what subscribers
+// chat with. GPTs that were never published serve gpt_data to everyone.
+import { readPricing, listedMonthlyPrice } from './pricing.js';
+
+const MAX_TAGS = 5;
+
+// The GPT data a chat runs against. Owners get the draft unless they ask for
+// the published version.
+export function servedGPTData(gpt, access, requested = 'draft') {
+  if (access === 'owner' && requested !== 'published') {
+    return gpt.gpt_data;
+  }
+  return gpt.published_data || gpt.gpt_data;
+}
+
+// The marketplace columns of user_gpts, written by /api/versions from the
+// published copy whenever a version is published so draft edits never reach
+// the listing; the browser never writes them. Pricing is checked again with
+// lib/pricing.js, so a copy saved before that check is only listed when it
+// passes. `pricing` is read back with listingPricing().
+export function listingColumns(gptData) {
+  const { pricing } = readPricing(gptData);
+  const priced = Boolean(pricing) && Object.keys(pricing.prices).length > 0;
+
+  return {
+    listed: Boolean(gptData.forSale) && priced,
+    name: gptData.name,
+    description: gptData.description,
+    category: typeof gptData.category === 'string' && gptData.category ? gptData.category : null,
+    tags: (Array.isArray(gptData.tags) ? gptData.tags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean)
+      .slice(0, MAX_TAGS),
+    monthly_price: priced ? listedMonthlyPrice(pricing) : 0,
+    pricing: pricing || null
+  };
+}
@@ -0,0 +1,107 @@
+// lib/workspaces.js - Team workspaces that co-own GPTs
+//
+// A workspace (`workspaces`: id, name, owner_id, created_at) has members
+// (`workspace_members`: workspace_id, user_id, role, created_at) with one of
+// WORKSPACE_ROLES:
+//   owner   manage members, invitations and billing, plus everything editors do
+//   editor  create, edit, publish, test and share the workspace's GPTs
+//   viewer  see the GPTs and chat with their published versions
+// A GPT with user_gpts.workspace_id set belongs to the workspace rather than
+// to user_id (who created it). Workspace GPTs are only read and written
+// through the API, so the row-level policies on user_gpts must only match
+// rows with workspace_id null. owner_id is the member whose creator
+// subscription covers the whole team. Changes are recorded in
+// `workspace_audit_log` (id, workspace_id, gpt_id, actor_id, action, details
+// jsonb, created_at).
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Whether `role` grants at least what `minimum` does
+export function hasRole(role, minimum) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimum];
+}
+
+// The user's role in a workspace, or null if they are not a member
+export async function workspaceRole(supabase, userId, workspaceId) {
+  if (!workspaceId) return null;
+
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.role || null;
+}
+
+// The user's role on a GPT row (which needs user_id and workspace_id):
+// personal GPTs have only their creator as owner
+export async function gptRole(supabase, user, gpt) {
+  if (gpt.workspace_id) return workspaceRole(supabase, user.id, gpt.workspace_id);
+  return gpt.user_id === user.id ? 'owner' : null;
+}
+
+// Load a GPT the user holds at least `minimum` on. Resolves with the row
+// (the requested columns plus id, user_id, workspace_id and `role`) or null.
+export async function loadGPTForRole(supabase, user, gptId, minimum, columns = 'id') {
+  if (!gptId) return null;
+
+  const { data: gpt, error } = await supabase
+    .from('user_gpts')
+    .select(`${columns}, id, user_id, workspace_id`)
+    .eq('id', gptId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!gpt) return null;
+
+  const role = await gptRole(supabase, user, gpt);
+  return hasRole(role, minimum) ? { ...gpt, role } : null;
+}
+
+// Owners of the user's workspaces; their creator subscription covers the user
+export async function workspacePayers(supabase, userId) {
+  const { data: memberships, error } = await supabase
+    .from('workspace_members')
+    .select('workspace_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const workspaceIds = (memberships || []).map(row => row.workspace_id);
+  if (workspaceIds.length === 0) return [];
+
+  const { data: workspaces, error: workspacesError } = await supabase
+    .from('workspaces')
+    .select('owner_id')
+    .in('id', workspaceIds);
+
+  if (workspacesError) throw workspacesError;
+
+  return [...new Set((workspaces || []).map(row => row.owner_id))];
+}
+
+// Record a change in the workspace's audit log. Personal GPTs have none.
+// Failures are reported but never fail the request.
+export async function logAudit(supabase, { workspaceId, gptId = null, actorId, action, details = {} }) {
+  if (!workspaceId) return;
+
+  const { error } = await supabase
+    .from('workspace_audit_log')
+    .insert({
+      workspace_id: workspaceId,
+      gpt_id: gptId,
+      actor_id: actorId,
+      action,
+      details,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Error writing audit log:', error);
+  }
+}
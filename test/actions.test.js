@@ -0,0 +1,60 @@
+// test/actions.test.js - Which hosts Custom Actions may call (lib/actions.js)
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isHostAllowed, isBlockedAddress, resolvePublicAddress, executeAction } from '../lib/actions.js';
+
+afterEach(() => {
+  delete process.env.ACTIONS_ALLOWED_HOSTS;
+});
+
+const operation = (serverUrl) => ({ name: 'get_thing', method: 'GET', serverUrl, path: '/thing', parameters: [] });
+
+test('nothing is allowed without an allowlist', () => {
+  assert.equal(isHostAllowed(new URL('https://api.example.com/')), false);
+});
+
+test('allowlisted HTTPS hosts and wildcards are allowed', () => {
+  process.env.ACTIONS_ALLOWED_HOSTS = 'api.example.com, *.example.org';
+
+  assert.equal(isHostAllowed(new URL('https://api.example.com/v1')), true);
+  assert.equal(isHostAllowed(new URL('https://eu.example.org/')), true);
+  assert.equal(isHostAllowed(new URL('https://example.org.evil.com/')), false);
+  assert.equal(isHostAllowed(new URL('http://api.example.com/')), false);
+  assert.equal(isHostAllowed(new URL('https://other.com/')), false);
+});
+
+test('internal IP literals are refused even when allowlisted', () => {
+  const literals = ['[::]', '[::1]', '0.0.0.0', '127.0.0.1', '10.1.2.3', '100.100.100.200', '169.254.169.254',
+    '172.16.0.1', '192.168.1.1', '[::ffff:127.0.0.1]', '[::ffff:a9fe:a9fe]', '[fd00::1]', '[fe80::1]'];
+  process.env.ACTIONS_ALLOWED_HOSTS = literals.map(host => host.replace(/^\[|\]$/g, '')).join(',');
+
+  for (const host of literals) {
+    assert.equal(isHostAllowed(new URL(`https://${host}/`)), false, host);
+  }
+});
+
+test('public addresses are not blocked', () => {
+  assert.equal(isBlockedAddress('93.184.216.34'), false);
+  assert.equal(isBlockedAddress('100.128.0.1'), false);
+  assert.equal(isBlockedAddress('2606:4700:4700::1111'), false);
+  assert.equal(isBlockedAddress('not an address'), true);
+});
+
+test('names are refused when they resolve to an internal address', async () => {
+  assert.equal(await resolvePublicAddress('localhost'), null);
+  assert.deepEqual(await resolvePublicAddress('93.184.216.34'), { address: '93.184.216.34', family: 4 });
+});
+
+test('an allowlisted name that resolves internally is never called', async () => {
+  process.env.ACTIONS_ALLOWED_HOSTS = 'localhost';
+
+  const result = await executeAction(operation('https://localhost'), {});
+
+  assert.equal(result, 'Tool error: host localhost is not allowed for actions');
+});
+
+test('hosts off the allowlist are refused before resolving', async () => {
+  const result = await executeAction(operation('https://100.100.100.200'), {});
+
+  assert.equal(result, 'Tool error: host 100.100.100.200 is not allowed for actions');
+});
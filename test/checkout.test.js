@@ -0,0 +1,332 @@
+// test/checkout.test.js - Marketplace checkout, coupons and plan changes (api/stripe-config.js)
+//
+// Stripe is test/helpers/fake-stripe.js; the fake keeps coupons, products,
+// prices and one subscription like Stripe does, as far as the API uses them.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, users, resetDatabase, failNext, installFakeSupabase } from './helpers/fake-supabase.js';
+import { stripeRequests, respondWith, stripeError, installFakeStripe } from './helpers/fake-stripe.js';
+import { createResponse } from './helpers/http.js';
+
+installFakeSupabase();
+await installFakeStripe();
+process.env.STRIPE_SECRET_KEY = 'sk_test_checkout';
+
+const { default: handler } = await import('../api/stripe-config.js');
+
+let coupons;
+let products;
+let prices;
+let subscription;
+
+function fakeStripe(request) {
+  const { method, path, params } = request;
+
+  const productPath = path.match(/^\/v1\/products\/([\w-]+)$/);
+  if (method === 'GET' && productPath) {
+    return products[productPath[1]] || stripeError(404, 'resource_missing');
+  }
+  if (method === 'POST' && productPath) {
+    return Object.assign(products[productPath[1]], { name: params.name });
+  }
+  if (method === 'POST' && path === '/v1/products') {
+    if (products[params.id]) return stripeError(400, 'resource_already_exists');
+    products[params.id] = { id: params.id, object: 'product', name: params.name, description: params.description || null };
+    return products[params.id];
+  }
+  if (method === 'GET' && path === '/v1/prices') {
+    return { object: 'list', data: prices.filter(price => price.lookup_key === params['lookup_keys[0]']) };
+  }
+  if (method === 'POST' && path === '/v1/prices') {
+    const price = {
+      id: `price_${prices.length + 1}`,
+      object: 'price',
+      product: params.product,
+      currency: params.currency,
+      unit_amount: Number(params.unit_amount),
+      recurring: { interval: params['recurring[interval]'] },
+      lookup_key: params.lookup_key
+    };
+    prices.push(price);
+    return price;
+  }
+  if (path === '/v1/subscriptions/sub_1') {
+    if (method === 'POST') {
+      subscription.items.data[0].price = prices.find(price => price.id === params['items[0][price]']);
+      if (params.cancel_at_period_end) subscription.cancel_at_period_end = params.cancel_at_period_end === 'true';
+    }
+    return subscription;
+  }
+
+  const couponPath = path.match(/^\/v1\/coupons\/(\w+)$/);
+  if (method === 'GET' && couponPath) {
+    const coupon = coupons[`${request.account}/${couponPath[1]}`];
+    return coupon || stripeError(404, 'resource_missing');
+  }
+  if (method === 'POST' && path === '/v1/coupons') {
+    const key = `${request.account}/${request.params.id}`;
+    if (coupons[key]) return stripeError(400, 'resource_already_exists');
+    const maxRedemptions = request.params.max_redemptions ? Number(request.params.max_redemptions) : null;
+    coupons[key] = { id: request.params.id, object: 'coupon', max_redemptions: maxRedemptions, times_redeemed: 0, valid: true };
+    return coupons[key];
+  }
+  if (path === '/v1/customers') return { id: 'cus_1', object: 'customer' };
+  if (path === '/v1/checkout/sessions') return { id: 'cs_1', object: 'checkout.session', url: 'https://checkout.test/cs_1' };
+  return stripeError(404, 'resource_missing');
+}
+
+// What Stripe does when a checkout with the coupon completes
+function redeem(couponId) {
+  const coupon = Object.values(coupons).find(entry => entry.id === couponId);
+  coupon.times_redeemed++;
+  coupon.valid = !coupon.max_redemptions || coupon.times_redeemed < coupon.max_redemptions;
+}
+
+async function callStripeConfig(action, body, token = 'buyer-token') {
+  const res = createResponse();
+  await handler({
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}`, origin: 'https://app.test' },
+    body: { action, ...body }
+  }, res);
+  return res;
+}
+
+function checkout(body, token) {
+  return callStripeConfig('create_customer_subscription', { gptId: 'gpt_1', ...body }, token);
+}
+
+// buyer_1 subscribed monthly in USD
+function subscribe() {
+  subscription = {
+    id: 'sub_1',
+    object: 'subscription',
+    status: 'active',
+    currency: 'usd',
+    cancel_at_period_end: false,
+    items: { data: [{ id: 'si_1', price: prices[0] }] }
+  };
+  db.customer_subscriptions = [{
+    id: 'cs_1',
+    customer_id: 'buyer_1',
+    creator_id: 'creator_1',
+    gpt_id: 'gpt_1',
+    stripe_subscription_id: 'sub_1',
+    stripe_account_id: 'acct_creator',
+    status: 'active',
+    currency: 'usd',
+    billing_interval: 'month'
+  }];
+}
+
+function couponRequests() {
+  return stripeRequests.filter(request => request.path.startsWith('/v1/coupons'));
+}
+
+function sessionParams() {
+  return stripeRequests.find(request => request.path === '/v1/checkout/sessions')?.params;
+}
+
+beforeEach(() => {
+  resetDatabase();
+  stripeRequests.length = 0;
+  coupons = {};
+  products = {};
+  prices = [];
+  respondWith(fakeStripe);
+  users['buyer-token'] = { id: 'buyer_1', email: 'buyer@example.com' };
+  users['other-token'] = { id: 'buyer_2', email: 'other@example.com' };
+  db.customer_subscriptions = [];
+  db.creator_connect_accounts = [{ user_id: 'creator_1', stripe_account_id: 'acct_creator', onboarding_complete: true }];
+  db.user_gpts = [{
+    id: 'gpt_1',
+    user_id: 'creator_1',
+    name: 'Tax Helper',
+    description: 'Answers tax questions',
+    listed: true,
+    monthly_price: 9.99,
+    pricing: {
+      currency: 'usd',
+      prices: { usd: { month: 999, year: 9900 } },
+      trialDays: 0,
+      coupons: [
+        { code: 'LAUNCH', percentOff: 20, duration: 'once', maxRedemptions: 2 },
+        { code: 'OLD', percentOff: 5, duration: 'once', expiresAt: '2020-01-01T00:00:00.000Z' }
+      ]
+    }
+  }];
+});
+
+test('every checkout with a coupon shares one limited Stripe coupon', async () => {
+  const first = await checkout({ couponCode: 'launch' });
+  const second = await checkout({ couponCode: 'LAUNCH' }, 'other-token');
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+
+  const created = couponRequests().filter(request => request.method === 'POST');
+  assert.equal(created.length, 1);
+  assert.equal(created[0].account, 'acct_creator');
+  assert.equal(created[0].params.max_redemptions, '2');
+  assert.equal(created[0].params.percent_off, '20');
+  assert.equal(sessionParams()['discounts[0][coupon]'], created[0].params.id);
+});
+
+test('a coupon Stripe has redeemed up to its limit is refused', async () => {
+  await checkout({ couponCode: 'LAUNCH' });
+  const { id } = Object.values(coupons)[0];
+  redeem(id);
+  redeem(id);
+  stripeRequests.length = 0;
+
+  const res = await checkout({ couponCode: 'LAUNCH' }, 'other-token');
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'This coupon has been used up');
+  assert.equal(sessionParams(), undefined);
+});
+
+test('editing a coupon carries over its earlier redemptions', async () => {
+  db.customer_subscriptions = [{ id: 'cs_old', customer_id: 'buyer_9', gpt_id: 'gpt_1', status: 'canceled', coupon_code: 'LAUNCH' }];
+  db.user_gpts[0].pricing.coupons[0].percentOff = 30;
+
+  const res = await checkout({ couponCode: 'LAUNCH' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(couponRequests().find(request => request.method === 'POST').params.max_redemptions, '1');
+});
+
+test('two checkouts creating the coupon at once both use it', async () => {
+  const results = await Promise.all([checkout({ couponCode: 'LAUNCH' }), checkout({ couponCode: 'LAUNCH' }, 'other-token')]);
+
+  assert.deepEqual(results.map(res => res.statusCode), [200, 200]);
+  assert.equal(Object.keys(coupons).length, 1);
+});
+
+test('members of the GPT\'s workspace cannot subscribe to it', async () => {
+  db.user_gpts[0].workspace_id = 'ws_1';
+  db.workspace_members = [{ workspace_id: 'ws_1', user_id: 'buyer_1', role: 'viewer' }];
+
+  const res = await checkout({});
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'You cannot subscribe to your own GPT');
+  assert.equal(stripeRequests.length, 0);
+});
+
+test('expired and unknown coupons never reach Stripe', async () => {
+  assert.equal((await checkout({ couponCode: 'OLD' })).body.error, 'This coupon has expired');
+  assert.equal((await checkout({ couponCode: 'NOPE' })).body.error, 'This coupon code is not valid');
+  assert.equal(stripeRequests.length, 0);
+});
+
+test('checkout charges a Stripe Price of the stored amount', async () => {
+  const res = await checkout({ monthlyPrice: 0.01 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(sessionParams()['line_items[0][price]'], 'price_1');
+  assert.equal(sessionParams()['discounts[0][coupon]'], undefined);
+  assert.deepEqual(prices.map(price => [price.product, price.currency, price.unit_amount, price.recurring.interval]), [['gpt_gpt_1', 'usd', 999, 'month']]);
+  assert.equal(products.gpt_gpt_1.name, 'GPT Access: Tax Helper');
+});
+
+test('later checkouts reuse the Price until the creator changes it', async () => {
+  await checkout({});
+  await checkout({}, 'other-token');
+  assert.equal(prices.length, 1);
+
+  db.user_gpts[0].pricing.prices.usd.month = 1299;
+  await checkout({}, 'other-token');
+
+  assert.deepEqual(prices.map(price => price.unit_amount), [999, 1299]);
+  assert.equal(Object.keys(products).length, 1);
+});
+
+test('subscriptions list the plans they can switch to', async () => {
+  await checkout({});
+  subscribe();
+  db.creator_subscriptions = [];
+
+  const res = await callStripeConfig('list_my_subscriptions', {});
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.subscriptions[0].interval, 'month');
+  assert.deepEqual(res.body.subscriptions[0].plans, { currency: 'usd', month: 999, year: 9900 });
+});
+
+test('switching to annual billing moves the subscription to the annual Price', async () => {
+  await checkout({});
+  subscribe();
+
+  const res = await callStripeConfig('change_subscription_price', { subscriptionId: 'sub_1', interval: 'year' });
+
+  assert.equal(res.statusCode, 200);
+  const update = stripeRequests.find(request => request.method === 'POST' && request.path === '/v1/subscriptions/sub_1');
+  assert.equal(update.account, 'acct_creator');
+  assert.equal(update.params['items[0][id]'], 'si_1');
+  assert.equal(update.params.proration_behavior, 'create_prorations');
+  assert.equal(subscription.items.data[0].price.unit_amount, 9900);
+  assert.equal(db.customer_subscriptions[0].billing_interval, 'year');
+});
+
+test('a plan the GPT is not listed with is refused', async () => {
+  await checkout({});
+  subscribe();
+  delete db.user_gpts[0].pricing.prices.usd.year;
+
+  const res = await callStripeConfig('change_subscription_price', { subscriptionId: 'sub_1', interval: 'year' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(subscription.items.data[0].price.unit_amount, 999);
+});
+
+test('only the subscriber can change the plan', async () => {
+  await checkout({});
+  subscribe();
+
+  const res = await callStripeConfig('change_subscription_price', { subscriptionId: 'sub_1', interval: 'year' }, 'other-token');
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('cancelling reports a failure to save the change', async () => {
+  await checkout({});
+  subscribe();
+  failNext('customer_subscriptions', 'PATCH');
+
+  const res = await callStripeConfig('cancel_subscription', { subscriptionId: 'sub_1' });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error, 'Simulated database failure');
+});
+
+test('subscribers get the chat details of the published copy only', async () => {
+  await checkout({});
+  subscribe();
+  Object.assign(db.user_gpts[0], {
+    published_version: 2,
+    gpt_data: { name: 'Tax Helper (draft)', instructions: 'Secret draft', welcomeMessage: 'Draft hello' },
+    published_data: { name: 'Tax Helper', instructions: 'Secret', welcomeMessage: 'Hello', conversationStarters: ['Deductions?'] }
+  });
+
+  const res = await callStripeConfig('get_subscribed_gpt', { gptId: 'gpt_1' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.gpt, {
+    id: 'gpt_1',
+    name: 'Tax Helper',
+    description: '',
+    welcomeMessage: 'Hello',
+    conversationStarters: ['Deductions?']
+  });
+});
+
+test('only subscribers get the chat details', async () => {
+  await checkout({});
+  subscribe();
+
+  const res = await callStripeConfig('get_subscribed_gpt', { gptId: 'gpt_1' }, 'other-token');
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.gpt, undefined);
+});
@@ -0,0 +1,59 @@
+// test/helpers/fake-stripe.js - Local stand-in for the Stripe API
+//
+// stripe-node talks to api.stripe.com through https.request; requests for
+// that host are sent to a plain HTTP server on localhost instead. Every
+// request is kept in `stripeRequests` ({ method, path, account, params }, with
+// form parameters flattened as Stripe encodes them, e.g. 'discounts[0][coupon]')
+// and answered by the function passed to respondWith().
+
+import http from 'node:http';
+import https from 'node:https';
+
+export const stripeRequests = [];
+
+let responder = () => ({ status: 404, body: { error: { type: 'invalid_request_error', code: 'resource_missing', message: 'No such object' } } });
+
+// `respond(request)` returns { status, body } or just the body for a 200
+export function respondWith(respond) {
+  responder = respond;
+}
+
+// A Stripe error body for respondWith()
+export function stripeError(status, code, message = code) {
+  return { status, body: { error: { type: 'invalid_request_error', code, message } } };
+}
+
+export async function installFakeStripe() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stripe.test');
+      const params = Object.fromEntries(new URLSearchParams(req.method === 'GET' ? url.search : body));
+      const request = { method: req.method, path: url.pathname, account: req.headers['stripe-account'] || null, params };
+      stripeRequests.push(request);
+
+      const answer = await responder(request);
+      const { status, body: payload } = typeof answer?.status === 'number' && 'body' in answer
+        ? answer
+        : { status: 200, body: answer };
+      res.writeHead(status, { 'content-type': 'application/json', 'request-id': 'req_test' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref();
+  const { port } = server.address();
+
+  const realRequest = https.request;
+  https.request = (options, callback) => {
+    if (options.host !== 'api.stripe.com' && options.hostname !== 'api.stripe.com') {
+      return realRequest(options, callback);
+    }
+    const req = http.request({ ...options, protocol: 'http:', host: '127.0.0.1', hostname: '127.0.0.1', port, agent: undefined }, callback);
+    // stripe-node waits for the TLS handshake before writing the body
+    req.once('socket', socket => socket.once('connect', () => socket.emit('secureConnect')));
+    return req;
+  };
+}
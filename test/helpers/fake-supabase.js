@@ -0,0 +1,191 @@
+// test/helpers/fake-supabase.js - In-memory Supabase for handler tests
+//
+// Answers the PostgREST and auth requests supabase-js sends through the
+// global fetch, so API modules can be imported unchanged. Tables are plain
+// arrays in `db`; a table listed in `uniqueKeys` rejects duplicate keys with
+// Postgres' 23505 like a primary key would. Only the filters the API uses
+// are understood (eq, neq, is, in, lt, lte, gt, gte, `not` and `or` of those).
+
+export const db = {};
+export const users = {};
+export const uniqueKeys = { stripe_events: ['id'] };
+
+const failures = [];
+let nextId = 1;
+
+// Make the next request to `table` with `method` (GET, POST, PATCH, DELETE)
+// fail with a database error
+export function failNext(table, method, message = 'Simulated database failure') {
+  failures.push({ table, method, message });
+}
+
+export function resetDatabase() {
+  for (const table of Object.keys(db)) delete db[table];
+  failures.length = 0;
+}
+
+export function installFakeSupabase() {
+  process.env.SUPABASE_URL = 'http://supabase.test';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role';
+  // supabase-js sets up (but never opens) a realtime socket; Node 20 has no
+  // WebSocket of its own
+  globalThis.WebSocket ||= class WebSocket {};
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    const target = new URL(String(url));
+    if (target.origin !== 'http://supabase.test') return realFetch(url, init);
+    return respond(target, init);
+  };
+}
+
+function json(body, status = 200, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function readHeaders(init) {
+  const headers = {};
+  new Headers(init.headers || {}).forEach((value, key) => { headers[key] = value; });
+  return headers;
+}
+
+function parseValue(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+function compare(actual, value) {
+  if (typeof actual === 'number') return actual - Number(value);
+  return String(actual) < String(value) ? -1 : String(actual) > String(value) ? 1 : 0;
+}
+
+function matches(row, column, expression) {
+  const [op, ...rest] = expression.split('.');
+  const raw = rest.join('.');
+  const actual = row[column];
+
+  switch (op) {
+    case 'eq': return actual !== undefined && actual !== null && String(actual) === String(parseValue(raw));
+    case 'neq': return String(actual) !== String(parseValue(raw));
+    case 'is': return parseValue(raw) === null ? actual === null || actual === undefined : actual === parseValue(raw);
+    case 'in': return raw.slice(1, -1).split(',').map(parseValue).map(String).includes(String(actual));
+    case 'lt': return actual != null && compare(actual, parseValue(raw)) < 0;
+    case 'lte': return actual != null && compare(actual, parseValue(raw)) <= 0;
+    case 'gt': return actual != null && compare(actual, parseValue(raw)) > 0;
+    case 'gte': return actual != null && compare(actual, parseValue(raw)) >= 0;
+    case 'not': return !matches(row, column, raw);
+    default: throw new Error(`Fake Supabase does not support the ${op} filter`);
+  }
+}
+
+function matchesOr(row, expression) {
+  return expression.slice(1, -1).split(',').some(part => {
+    const dot = part.indexOf('.');
+    return matches(row, part.slice(0, dot), part.slice(dot + 1));
+  });
+}
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+function filterRows(rows, params) {
+  return rows.filter(row => {
+    for (const [key, value] of params) {
+      if (RESERVED_PARAMS.includes(key)) continue;
+      if (key === 'or' ? !matchesOr(row, value) : !matches(row, key, value)) return false;
+    }
+    return true;
+  });
+}
+
+function project(rows, select) {
+  if (!select || select === '*') return rows.map(row => ({ ...row }));
+  const columns = select.split(',').map(column => column.trim());
+  return rows.map(row => Object.fromEntries(columns.map(column => {
+    const [alias, source] = column.includes(':') ? column.split(':') : [null, column];
+    // JSON paths such as gpt_data->>name are named after their last key
+    const [field, ...keys] = source.split(/->>?/);
+    const value = keys.reduce((object, key) => object?.[key], row[field]);
+    return [alias || keys[keys.length - 1] || field, value === undefined && keys.length ? null : value];
+  })));
+}
+
+function respond(url, init) {
+  const method = init.method || 'GET';
+  const headers = readHeaders(init);
+
+  if (url.pathname === '/auth/v1/user') {
+    const token = (headers.authorization || '').replace('Bearer ', '');
+    const user = users[token];
+    return user ? json(user) : json({ msg: 'Invalid token' }, 401);
+  }
+
+  const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+  if (!match) return json({ message: 'Not found' }, 404);
+
+  const table = match[1];
+  db[table] ||= [];
+
+  const failure = failures.findIndex(entry => entry.table === table && entry.method === method);
+  if (failure !== -1) {
+    const [{ message }] = failures.splice(failure, 1);
+    return json({ code: 'XX000', message }, 500);
+  }
+
+  let rows;
+  if (method === 'GET' || method === 'HEAD') {
+    rows = filterRows(db[table], url.searchParams);
+  } else if (method === 'POST') {
+    const body = JSON.parse(init.body);
+    const upsert = (headers.prefer || '').includes('resolution=merge-duplicates');
+    const keys = url.searchParams.get('on_conflict')?.split(',') || uniqueKeys[table] || ['id'];
+    rows = [];
+
+    for (const values of Array.isArray(body) ? body : [body]) {
+      const existing = db[table].find(row => keys.every(key => values[key] !== undefined && row[key] === values[key]));
+      if (existing && upsert) {
+        Object.assign(existing, values);
+        rows.push(existing);
+      } else if (existing && uniqueKeys[table]) {
+        return json({ code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` }, 409);
+      } else {
+        const row = { id: `row-${nextId++}`, created_at: new Date().toISOString(), ...values };
+        db[table].push(row);
+        rows.push(row);
+      }
+    }
+  } else if (method === 'PATCH') {
+    const values = JSON.parse(init.body);
+    rows = filterRows(db[table], url.searchParams);
+    rows.forEach(row => Object.assign(row, values));
+  } else if (method === 'DELETE') {
+    rows = filterRows(db[table], url.searchParams);
+    db[table] = db[table].filter(row => !rows.includes(row));
+  }
+
+  const total = rows.length;
+  const order = url.searchParams.get('order');
+  if (order) {
+    const [column, direction] = order.split(',')[0].split('.');
+    rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (direction === 'desc' ? -1 : 1));
+  }
+  const limit = url.searchParams.get('limit');
+  if (limit) rows = rows.slice(0, Number(limit));
+  rows = project(rows, url.searchParams.get('select'));
+
+  const responseHeaders = (headers.prefer || '').includes('count=exact')
+    ? { 'content-range': `0-${Math.max(rows.length - 1, 0)}/${total}` }
+    : {};
+
+  if ((headers.accept || '').includes('vnd.pgrst.object')) {
+    return rows.length === 1
+      ? json(rows[0], 200, responseHeaders)
+      : json({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+  }
+
+  return json(method === 'HEAD' ? undefined : rows, 200, responseHeaders);
+}
@@ -0,0 +1,14 @@
+// test/helpers/http.js - Minimal Vercel-style response object for handler tests
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end(body) { if (body !== undefined) this.body = body; return this; }
+  };
+}
@@ -0,0 +1,118 @@
+// test/knowledge.test.js - Knowledge chunks shared by the draft and published versions
+//
+// Drives api/knowledge.js the way the builder does (index_file, then prune)
+// and reads back through lib/prompt.js retrieveSources().
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, users, resetDatabase, installFakeSupabase } from './helpers/fake-supabase.js';
+import { createResponse } from './helpers/http.js';
+
+installFakeSupabase();
+delete process.env.OPENAI_API_KEY;
+
+const { default: handler } = await import('../api/knowledge.js');
+const { contentHash, ensureIndexed } = await import('../lib/knowledge.js');
+const { retrieveSources } = await import('../lib/prompt.js');
+const { createClient } = await import('@supabase/supabase-js');
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const OLD_TEXT = 'Refunds are accepted within thirty days of purchase.';
+const NEW_TEXT = 'Refunds are accepted within fourteen days of purchase.';
+
+function file(content, name = 'policy.txt') {
+  return { name, content, contentHash: contentHash(content) };
+}
+
+async function callKnowledge(body) {
+  const res = createResponse();
+  await handler({ method: 'POST', headers: { authorization: 'Bearer owner-token' }, body: { gptId: 'gpt_1', ...body } }, res);
+  return res;
+}
+
+async function index(entry) {
+  return callKnowledge({ action: 'index_file', fileName: entry.name, contentHash: entry.contentHash, content: entry.content });
+}
+
+async function sourcesOf(gptData) {
+  const sources = await retrieveSources(supabase, 'gpt_1', gptData, 'How many days for refunds?');
+  return sources.map(source => `${source.file}: ${source.content}`);
+}
+
+beforeEach(() => {
+  resetDatabase();
+  users['owner-token'] = { id: 'user_1' };
+  db.knowledge_chunks = [];
+  db.guardrail_events = [];
+  db.user_gpts = [{
+    id: 'gpt_1',
+    user_id: 'user_1',
+    workspace_id: null,
+    gpt_data: { files: [file(OLD_TEXT)] },
+    published_data: { files: [file(OLD_TEXT)] }
+  }];
+});
+
+test('re-uploading a file in the draft keeps the published chunks', async () => {
+  await index(file(OLD_TEXT));
+
+  const res = await index(file(NEW_TEXT));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.chunks, 1);
+
+  const pruned = await callKnowledge({ action: 'prune', keepHashes: [contentHash(NEW_TEXT)] });
+  assert.equal(pruned.statusCode, 200);
+
+  assert.deepEqual(await sourcesOf(db.user_gpts[0].published_data), [`policy.txt: ${OLD_TEXT}`]);
+  assert.deepEqual(await sourcesOf({ files: [file(NEW_TEXT)] }), [`policy.txt: ${NEW_TEXT}`]);
+});
+
+test('prune drops texts no copy of the GPT reads', async () => {
+  await index(file(OLD_TEXT));
+  await index(file(NEW_TEXT));
+
+  db.user_gpts[0].gpt_data = { files: [file(NEW_TEXT)] };
+  db.user_gpts[0].published_data = { files: [file(NEW_TEXT)] };
+  await callKnowledge({ action: 'prune', keepHashes: [contentHash(NEW_TEXT)] });
+
+  assert.deepEqual(db.knowledge_chunks.map(chunk => chunk.content_hash), [contentHash(NEW_TEXT)]);
+});
+
+test('chunks indexed before hashes were kept are found by name until unreferenced', async () => {
+  db.knowledge_chunks = [{ id: 'legacy_1', gpt_id: 'gpt_1', file_name: 'policy.txt', content_hash: null, chunk_index: 0, content: OLD_TEXT }];
+  db.user_gpts[0].published_data = { files: [{ name: 'policy.txt', content: OLD_TEXT }] };
+
+  await index(file(NEW_TEXT));
+  await callKnowledge({ action: 'prune', keepHashes: [contentHash(NEW_TEXT)] });
+
+  assert.deepEqual(await sourcesOf(db.user_gpts[0].published_data), [`policy.txt: ${OLD_TEXT}`]);
+
+  db.user_gpts[0].gpt_data = { files: [file(NEW_TEXT)] };
+  db.user_gpts[0].published_data = { files: [file(NEW_TEXT)] };
+  await callKnowledge({ action: 'prune', keepHashes: [contentHash(NEW_TEXT)] });
+
+  assert.equal(db.knowledge_chunks.some(chunk => chunk.content_hash === null), false);
+});
+
+test('a hash that does not match the text is refused', async () => {
+  const res = await callKnowledge({ action: 'index_file', fileName: 'policy.txt', contentHash: contentHash(OLD_TEXT), content: NEW_TEXT });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(db.knowledge_chunks.length, 0);
+});
+
+test('publishing an old version indexes its pruned files again', async () => {
+  await ensureIndexed(supabase, { gptId: 'gpt_1', userId: 'user_1', gptData: { files: [file(OLD_TEXT)] } });
+  await ensureIndexed(supabase, { gptId: 'gpt_1', userId: 'user_1', gptData: { files: [file(OLD_TEXT)] } });
+
+  assert.equal(db.knowledge_chunks.length, 1);
+  assert.deepEqual(await sourcesOf({ files: [file(OLD_TEXT)] }), [`policy.txt: ${OLD_TEXT}`]);
+});
+
+test('prune without a list of hashes is refused', async () => {
+  await index(file(NEW_TEXT));
+
+  assert.equal((await callKnowledge({ action: 'prune' })).statusCode, 400);
+  assert.equal((await callKnowledge({ action: 'prune', keepHashes: contentHash(NEW_TEXT) })).statusCode, 400);
+  assert.equal(db.knowledge_chunks.length, 1);
+});
@@ -0,0 +1,96 @@
+// test/revenue.test.js - Revenue totals are kept apart per currency (api/revenue.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, users, resetDatabase, installFakeSupabase } from './helpers/fake-supabase.js';
+import { stripeRequests, respondWith, installFakeStripe } from './helpers/fake-stripe.js';
+import { createResponse } from './helpers/http.js';
+
+installFakeSupabase();
+await installFakeStripe();
+process.env.STRIPE_SECRET_KEY = 'sk_test_revenue';
+
+const { default: handler } = await import('../api/revenue.js');
+
+const now = new Date().toISOString();
+
+function payment(id, gptId, gross, currency, type = 'payment') {
+  const fee = Math.round(gross * 0.3);
+  return {
+    stripe_object_id: id,
+    creator_id: 'creator_1',
+    type,
+    gpt_id: gptId,
+    gross,
+    platform_fee: fee,
+    net: gross - fee,
+    currency,
+    occurred_at: now
+  };
+}
+
+async function report() {
+  const res = createResponse();
+  await handler({ method: 'GET', headers: { authorization: 'Bearer creator-token' }, query: { months: '2' } }, res);
+  return res;
+}
+
+beforeEach(() => {
+  resetDatabase();
+  stripeRequests.length = 0;
+  users['creator-token'] = { id: 'creator_1' };
+  db.creator_connect_accounts = [];
+  db.gpt_reviews = [];
+  db.user_gpts = [
+    { id: 'gpt_usd', user_id: 'creator_1', name: 'Dollar GPT' },
+    { id: 'gpt_eur', user_id: 'creator_1', name: 'Euro GPT' }
+  ];
+  db.customer_subscriptions = [
+    { creator_id: 'creator_1', gpt_id: 'gpt_usd', status: 'active', monthly_amount: 1000, currency: 'usd', created_at: now },
+    { creator_id: 'creator_1', gpt_id: 'gpt_eur', status: 'active', monthly_amount: 900, currency: 'eur', created_at: now },
+    { creator_id: 'creator_1', gpt_id: 'gpt_eur', status: 'trialing', monthly_amount: 900, currency: 'eur', created_at: now }
+  ];
+  db.revenue_ledger = [
+    payment('in_1', 'gpt_usd', 1000, 'usd'),
+    payment('in_2', 'gpt_eur', 900, 'eur'),
+    payment('re_1', 'gpt_eur', -900, 'eur', 'refund')
+  ];
+});
+
+test('summary totals are reported per currency', async () => {
+  const res = await report();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.currencies, ['eur', 'usd']);
+  assert.equal(res.body.summary.activeSubscribers, 3);
+  assert.deepEqual(res.body.summary.mrr, { usd: 1000, eur: 1800 });
+  assert.deepEqual(res.body.summary.gross, { usd: 1000, eur: 0 });
+  assert.deepEqual(res.body.summary.refunds, { eur: 900 });
+  assert.deepEqual(res.body.summary.net, { usd: 700, eur: 0 });
+  assert.equal(res.body.summary.balance, null);
+});
+
+test('the monthly series and per-GPT totals are per currency', async () => {
+  const { body } = await report();
+
+  assert.deepEqual(body.series[1].mrr, { usd: 1000, eur: 1800 });
+  assert.deepEqual(body.series[1].net, { usd: 700, eur: 0 });
+  assert.deepEqual(body.series[0].mrr, {});
+
+  const euro = body.gpts.find(gpt => gpt.gptId === 'gpt_eur');
+  assert.deepEqual(euro.mrr, { eur: 1800 });
+  assert.deepEqual(euro.gross, { eur: 0 });
+});
+
+test('the Connect balance is kept per currency', async () => {
+  db.creator_connect_accounts = [{ user_id: 'creator_1', stripe_account_id: 'acct_creator' }];
+  respondWith(() => ({
+    object: 'balance',
+    available: [{ amount: 700, currency: 'usd' }, { amount: 300, currency: 'eur' }],
+    pending: [{ amount: 200, currency: 'eur' }]
+  }));
+
+  const { body } = await report();
+
+  assert.deepEqual(stripeRequests.map(request => [request.path, request.account]), [['/v1/balance', 'acct_creator']]);
+  assert.deepEqual(body.summary.balance, { available: { usd: 700, eur: 300 }, pending: { eur: 200 } });
+});
@@ -0,0 +1,146 @@
+// test/reviews.test.js - Review replies, reports and moderation (api/reviews.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, users, resetDatabase, installFakeSupabase } from './helpers/fake-supabase.js';
+import { createResponse } from './helpers/http.js';
+
+const ADMIN_KEY = 'admin-test-key';
+
+installFakeSupabase();
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+const { default: handler } = await import('../api/reviews.js');
+
+async function post(token, body, headers = {}) {
+  const res = createResponse();
+  await handler({ method: 'POST', headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers }, body }, res);
+  return res;
+}
+
+async function get(query, headers = {}) {
+  const res = createResponse();
+  await handler({ method: 'GET', headers, query }, res);
+  return res;
+}
+
+function report(token, reason = 'Spam') {
+  return post(token, { action: 'report', reviewId: 'review_1', reason });
+}
+
+function moderate(decision, adminKey = ADMIN_KEY) {
+  return post(null, { action: 'moderate', reviewId: 'review_1', decision }, adminKey ? { 'x-admin-key': adminKey } : {});
+}
+
+beforeEach(() => {
+  resetDatabase();
+  for (const name of ['creator', 'editor', 'viewer', 'author', 'subscriber', 'second', 'third', 'former']) {
+    users[`${name}-token`] = { id: `${name}_1` };
+  }
+  db.user_gpts = [{ id: 'gpt_1', user_id: 'creator_1', workspace_id: 'ws_1', listed: true, rating_avg: 4, rating_count: 1 }];
+  db.workspace_members = [
+    { workspace_id: 'ws_1', user_id: 'creator_1', role: 'owner' },
+    { workspace_id: 'ws_1', user_id: 'editor_1', role: 'editor' },
+    { workspace_id: 'ws_1', user_id: 'viewer_1', role: 'viewer' }
+  ];
+  db.customer_subscriptions = [
+    { id: 'cs_1', customer_id: 'author_1', gpt_id: 'gpt_1', status: 'active' },
+    { id: 'cs_2', customer_id: 'subscriber_1', gpt_id: 'gpt_1', status: 'trialing' },
+    { id: 'cs_3', customer_id: 'former_1', gpt_id: 'gpt_1', status: 'canceled' }
+  ];
+  db.gpt_reviews = [{ id: 'review_1', gpt_id: 'gpt_1', user_id: 'author_1', rating: 4, body: 'Useful', hidden: false }];
+  db.review_reports = [];
+});
+
+test('workspace editors can reply to reviews, viewers cannot', async () => {
+  const editor = await post('editor-token', { action: 'reply', reviewId: 'review_1', body: 'Thanks!' });
+  const viewer = await post('viewer-token', { action: 'reply', reviewId: 'review_1', body: 'Hi' });
+
+  assert.equal(editor.statusCode, 200);
+  assert.equal(viewer.statusCode, 403);
+  assert.equal(db.gpt_reviews[0].reply_body, 'Thanks!');
+});
+
+test('editors see the reply link and subscribers the report link', async () => {
+  const editor = await get({ gptId: 'gpt_1' }, { authorization: 'Bearer editor-token' });
+  const subscriber = await get({ gptId: 'gpt_1' }, { authorization: 'Bearer subscriber-token' });
+  const former = await get({ gptId: 'gpt_1' }, { authorization: 'Bearer former-token' });
+
+  assert.equal(editor.body.isOwner, true);
+  assert.equal(editor.body.canReport, false);
+  assert.equal(subscriber.body.canReport, true);
+  assert.equal(former.body.canReport, false);
+  assert.equal(former.body.canReview, true);
+});
+
+test('only active subscribers can report a review', async () => {
+  assert.equal((await report('former-token')).statusCode, 403);
+  assert.equal((await report('viewer-token')).statusCode, 403);
+  assert.equal((await report('subscriber-token')).statusCode, 200);
+
+  assert.deepEqual(db.review_reports.map(row => [row.reporter_id, row.status]), [['subscriber_1', 'open']]);
+});
+
+test('reports queue the review without hiding it', async () => {
+  db.customer_subscriptions.push(
+    { id: 'cs_4', customer_id: 'second_1', gpt_id: 'gpt_1', status: 'active' },
+    { id: 'cs_5', customer_id: 'third_1', gpt_id: 'gpt_1', status: 'active' }
+  );
+  for (const token of ['subscriber-token', 'second-token', 'third-token']) {
+    assert.equal((await report(token)).statusCode, 200);
+  }
+
+  assert.equal(db.gpt_reviews[0].hidden, false);
+
+  const queue = await get({ moderation: 'open' }, { 'x-admin-key': ADMIN_KEY });
+  assert.equal(queue.statusCode, 200);
+  assert.equal(queue.body.reviews.length, 1);
+  assert.equal(queue.body.reviews[0].id, 'review_1');
+  assert.equal(queue.body.reviews[0].reports.length, 3);
+});
+
+test('the moderation queue needs the admin key', async () => {
+  assert.equal((await get({ moderation: 'open' })).statusCode, 401);
+  assert.equal((await moderate('hide', 'wrong-key')).statusCode, 401);
+  assert.equal(db.gpt_reviews[0].hidden, false);
+});
+
+test('a moderator hides a review and closes its reports', async () => {
+  await report('subscriber-token');
+
+  const res = await moderate('hide');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(db.gpt_reviews[0].hidden, true);
+  assert.equal(db.user_gpts[0].rating_count, 0);
+  assert.equal(db.review_reports[0].status, 'hidden');
+  assert.deepEqual((await get({ moderation: 'open' }, { 'x-admin-key': ADMIN_KEY })).body.reviews, []);
+
+  await moderate('restore');
+  assert.equal(db.gpt_reviews[0].hidden, false);
+  assert.equal(db.user_gpts[0].rating_count, 1);
+});
+
+test('dismissing reports keeps the review', async () => {
+  await report('subscriber-token');
+
+  await moderate('dismiss');
+
+  assert.equal(db.gpt_reviews[0].hidden, false);
+  assert.equal(db.review_reports[0].status, 'dismissed');
+});
+
+test('workspace members cannot review their team\'s GPT', async () => {
+  db.customer_subscriptions.push({ id: 'cs_4', customer_id: 'editor_1', gpt_id: 'gpt_1', status: 'canceled' });
+
+  const res = await post('editor-token', { action: 'submit', gptId: 'gpt_1', rating: 5 });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(db.gpt_reviews.length, 1);
+  assert.equal(db.user_gpts[0].rating_count, 1);
+});
+
+test('a POST without a body is a bad request', async () => {
+  const res = await post('subscriber-token', undefined);
+
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,334 @@
+// test/stripe-webhooks.test.js - Signed webhook deliveries against api/stripe-webhooks.js
+//
+// Run with `node --test test/*.test.js` from the repository root. Events are
+// signed with Stripe's own test helper, the database is
+// test/helpers/fake-supabase.js and Stripe test/helpers/fake-stripe.js.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import { db, resetDatabase, failNext, installFakeSupabase } from './helpers/fake-supabase.js';
+import { stripeRequests, respondWith, installFakeStripe } from './helpers/fake-stripe.js';
+import { createResponse } from './helpers/http.js';
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+const ADMIN_KEY = 'admin-test-key';
+
+installFakeSupabase();
+await installFakeStripe();
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhooks';
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { default: handler } = await import('../api/stripe-webhooks.js');
+
+let eventCount = 0;
+
+function subscription(status, created = 1700000000) {
+  return {
+    id: 'sub_123',
+    object: 'subscription',
+    status,
+    currency: 'usd',
+    current_period_start: created,
+    current_period_end: created + 30 * 24 * 3600,
+    cancel_at_period_end: false,
+    metadata: { type: 'customer_subscription' },
+    items: { data: [{ quantity: 1, price: { unit_amount: 999, recurring: { interval: 'month', interval_count: 1 } } }] }
+  };
+}
+
+function subscriptionEvent(status, { created = 1700000000, id } = {}) {
+  return {
+    id: id || `evt_test_${++eventCount}`,
+    object: 'event',
+    type: 'customer.subscription.updated',
+    created,
+    account: 'acct_creator',
+    data: { object: subscription(status, created) }
+  };
+}
+
+function invoiceEvent(amountPaid, { created = 1700000000 } = {}) {
+  return {
+    id: `evt_test_${++eventCount}`,
+    object: 'event',
+    type: 'invoice.payment_succeeded',
+    created,
+    account: 'acct_creator',
+    data: {
+      object: {
+        id: `in_test_${eventCount}`,
+        object: 'invoice',
+        subscription: 'sub_123',
+        amount_paid: amountPaid,
+        application_fee_amount: Math.round(amountPaid * 0.3),
+        currency: 'usd',
+        status_transitions: { paid_at: created }
+      }
+    }
+  };
+}
+
+function signedRequest(event, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  return {
+    method: 'POST',
+    url: '/api/stripe-webhooks',
+    query: {},
+    headers: { 'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+    body: Buffer.from(payload)
+  };
+}
+
+async function deliver(req) {
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+async function replay(target, adminKey = ADMIN_KEY) {
+  const res = createResponse();
+  await handler({
+    method: 'POST',
+    url: `/api/stripe-webhooks?replay=${target}`,
+    query: { replay: target },
+    headers: adminKey ? { 'x-admin-key': adminKey } : {}
+  }, res);
+  return res;
+}
+
+function storedEvent(id) {
+  return db.stripe_events.find(row => row.id === id);
+}
+
+function subscriptionRow() {
+  return db.customer_subscriptions.find(row => row.stripe_subscription_id === 'sub_123');
+}
+
+beforeEach(() => {
+  resetDatabase();
+  stripeRequests.length = 0;
+  respondWith(() => subscription('trialing'));
+  db.stripe_events = [];
+  db.creator_subscriptions = [];
+  db.user_gpts = [{ id: 'gpt_1', subscriber_count: 0 }];
+  db.customer_subscriptions = [{
+    id: 'cs_1',
+    customer_id: 'user_1',
+    gpt_id: 'gpt_1',
+    stripe_subscription_id: 'sub_123',
+    status: 'incomplete',
+    last_event_at: null
+  }];
+});
+
+test('a validly signed event is processed and logged', async () => {
+  const event = subscriptionEvent('active');
+  const res = await deliver(signedRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true });
+  assert.equal(subscriptionRow().status, 'active');
+  assert.equal(subscriptionRow().monthly_amount, 999);
+  assert.equal(db.user_gpts[0].subscriber_count, 1);
+  assert.equal(storedEvent(event.id).status, 'processed');
+  assert.equal(storedEvent(event.id).attempts, 1);
+});
+
+test('an event with a bad signature is rejected and not stored', async () => {
+  const event = subscriptionEvent('active');
+  const res = await deliver(signedRequest(event, 'whsec_wrong_secret'));
+
+  assert.equal(res.statusCode, 400);
+  assert.match(String(res.body), /Webhook Error/);
+  assert.equal(db.stripe_events.length, 0);
+  assert.equal(subscriptionRow().status, 'incomplete');
+});
+
+test('a tampered body fails verification', async () => {
+  const req = signedRequest(subscriptionEvent('active'));
+  req.body = Buffer.from(req.body.toString().replace('"active"', '"canceled"'));
+
+  const res = await deliver(req);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(subscriptionRow().status, 'incomplete');
+});
+
+test('a redelivered event is acknowledged without running again', async () => {
+  const event = subscriptionEvent('active');
+  await deliver(signedRequest(event));
+
+  subscriptionRow().status = 'changed since';
+  const res = await deliver(signedRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true, duplicate: true });
+  assert.equal(subscriptionRow().status, 'changed since');
+  assert.equal(storedEvent(event.id).attempts, 1);
+});
+
+test('concurrent deliveries of one event process it once', async () => {
+  const event = subscriptionEvent('active');
+  const results = await Promise.all([deliver(signedRequest(event)), deliver(signedRequest(event))]);
+
+  assert.deepEqual(results.map(res => res.statusCode), [200, 200]);
+  assert.equal(results.filter(res => res.body.duplicate).length, 1);
+  assert.equal(db.stripe_events.length, 1);
+  assert.equal(storedEvent(event.id).attempts, 1);
+});
+
+// What a delivery that crashed mid-handler leaves behind
+function stuckEvent(event, minutesAgo) {
+  db.stripe_events.push({
+    id: event.id,
+    type: event.type,
+    payload: event,
+    event_created: new Date(event.created * 1000).toISOString(),
+    status: 'processing',
+    attempts: 1,
+    claimed_at: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+  });
+}
+
+test('a redelivery takes over an event whose processing lease ran out', async () => {
+  const event = subscriptionEvent('active');
+  stuckEvent(event, 30);
+
+  const res = await deliver(signedRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true });
+  assert.equal(storedEvent(event.id).status, 'processed');
+  assert.equal(storedEvent(event.id).attempts, 2);
+  assert.equal(subscriptionRow().status, 'active');
+});
+
+test('a redelivery leaves an event that is still within its lease alone', async () => {
+  const event = subscriptionEvent('active');
+  stuckEvent(event, 1);
+
+  const res = await deliver(signedRequest(event));
+
+  assert.deepEqual(res.body, { received: true, duplicate: true });
+  assert.equal(subscriptionRow().status, 'incomplete');
+});
+
+test('admin replay picks up events stuck processing past their lease', async () => {
+  const stale = subscriptionEvent('active');
+  const fresh = subscriptionEvent('past_due', { id: 'evt_fresh' });
+  stuckEvent(stale, 30);
+  stuckEvent(fresh, 1);
+
+  const res = await replay('failed');
+
+  assert.deepEqual(res.body, { replayed: 1, results: [{ id: stale.id, status: 'processed' }] });
+  assert.equal(storedEvent('evt_fresh').status, 'processing');
+});
+
+test('an older event arriving late does not overwrite a newer one', async () => {
+  const newer = subscriptionEvent('past_due', { created: 1700000200 });
+  const older = subscriptionEvent('active', { created: 1700000100 });
+
+  await deliver(signedRequest(newer));
+  const res = await deliver(signedRequest(older));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(subscriptionRow().status, 'past_due');
+  assert.equal(subscriptionRow().last_event_at, new Date(1700000200 * 1000).toISOString());
+  assert.equal(storedEvent(older.id).status, 'processed');
+});
+
+test('events in order are all applied', async () => {
+  await deliver(signedRequest(subscriptionEvent('trialing', { created: 1700000100 })));
+  await deliver(signedRequest(subscriptionEvent('active', { created: 1700000200 })));
+
+  assert.equal(subscriptionRow().status, 'active');
+});
+
+test('a handler failure answers 500, is recorded and is retried on redelivery', async () => {
+  const event = subscriptionEvent('active');
+  failNext('customer_subscriptions', 'PATCH');
+
+  const failed = await deliver(signedRequest(event));
+
+  assert.equal(failed.statusCode, 500);
+  assert.equal(storedEvent(event.id).status, 'failed');
+  assert.equal(storedEvent(event.id).last_error, 'Simulated database failure');
+  assert.equal(subscriptionRow().status, 'incomplete');
+
+  const retried = await deliver(signedRequest(event));
+
+  assert.equal(retried.statusCode, 200);
+  assert.deepEqual(retried.body, { received: true });
+  assert.equal(storedEvent(event.id).status, 'processed');
+  assert.equal(storedEvent(event.id).attempts, 2);
+  assert.equal(subscriptionRow().status, 'active');
+});
+
+test('an event is not marked processed when recording the outcome fails', async () => {
+  const event = subscriptionEvent('active');
+  // The claim is a POST; the first PATCH is the "processed" update
+  failNext('stripe_events', 'PATCH');
+
+  const res = await deliver(signedRequest(event));
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(storedEvent(event.id).status, 'failed');
+});
+
+test('replay requires the admin key', async () => {
+  assert.equal((await replay('failed', null)).statusCode, 401);
+  assert.equal((await replay('failed', 'wrong-key')).statusCode, 401);
+});
+
+test('admin replay re-runs failed events', async () => {
+  const event = subscriptionEvent('active');
+  failNext('customer_subscriptions', 'PATCH');
+  await deliver(signedRequest(event));
+
+  const res = await replay('failed');
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { replayed: 1, results: [{ id: event.id, status: 'processed' }] });
+  assert.equal(storedEvent(event.id).status, 'processed');
+  assert.equal(storedEvent(event.id).attempts, 2);
+  assert.equal(subscriptionRow().status, 'active');
+
+  assert.equal((await replay('failed')).statusCode, 404);
+});
+
+test('admin replay of one event reports a failure again', async () => {
+  const event = subscriptionEvent('active');
+  await deliver(signedRequest(event));
+
+  failNext('customer_subscriptions', 'PATCH');
+  const res = await replay(event.id);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.results[0].status, 'failed');
+  assert.equal(storedEvent(event.id).status, 'failed');
+});
+
+test('a $0 trial invoice leaves the subscription trialing', async () => {
+  const event = invoiceEvent(0);
+
+  const res = await deliver(signedRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(subscriptionRow().status, 'trialing');
+  assert.deepEqual(stripeRequests.map(request => [request.path, request.account]), [['/v1/subscriptions/sub_123', 'acct_creator']]);
+  assert.equal(db.revenue_ledger?.length || 0, 0);
+});
+
+test('a paid invoice takes the subscription status from Stripe and is recorded', async () => {
+  respondWith(() => subscription('active'));
+
+  await deliver(signedRequest(invoiceEvent(999)));
+
+  assert.equal(subscriptionRow().status, 'active');
+  assert.equal(db.revenue_ledger.length, 1);
+  assert.equal(db.revenue_ledger[0].gross, 999);
+  assert.equal(db.revenue_ledger[0].net, 699);
+});
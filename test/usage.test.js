@@ -0,0 +1,29 @@
+// test/usage.test.js - Plans behind the usage quotas (lib/usage.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, resetDatabase, failNext, installFakeSupabase } from './helpers/fake-supabase.js';
+
+installFakeSupabase();
+
+const { resolvePlan } = await import('../lib/usage.js');
+const { createClient } = await import('@supabase/supabase-js');
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const creator = { id: 'user_1' };
+
+beforeEach(() => {
+  resetDatabase();
+  db.workspace_members = [];
+  db.creator_subscriptions = [{ id: 'sub_1', user_id: 'user_1', status: 'active' }];
+});
+
+test('creators with an active subscription get the creator plan', async () => {
+  assert.equal(await resolvePlan(supabase, creator, 'owner'), 'creator');
+  assert.equal(await resolvePlan(supabase, { id: 'user_2' }, 'owner'), 'free');
+});
+
+test('a failed subscription lookup is an error, not the free plan', async () => {
+  failNext('creator_subscriptions', 'GET');
+
+  await assert.rejects(resolvePlan(supabase, creator, 'owner'), { message: 'Simulated database failure' });
+});
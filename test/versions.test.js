@@ -0,0 +1,107 @@
+// test/versions.test.js - Drafts stay private until published (api/versions.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db, users, resetDatabase, installFakeSupabase } from './helpers/fake-supabase.js';
+import { createResponse } from './helpers/http.js';
+
+installFakeSupabase();
+
+const { default: handler } = await import('../api/versions.js');
+
+const published = {
+  name: 'Tax Helper',
+  description: 'Answers tax questions',
+  instructions: 'Help with taxes.',
+  files: [],
+  forSale: true,
+  category: 'finance',
+  tags: ['tax'],
+  pricing: { currency: 'usd', prices: { usd: { month: 999 } }, trialDays: 0, coupons: [] }
+};
+
+async function callVersions(body) {
+  const res = createResponse();
+  await handler({ method: 'POST', headers: { authorization: 'Bearer owner-token' }, body: { gptId: 'gpt_1', ...body } }, res);
+  return res;
+}
+
+function gptRow() {
+  return db.user_gpts[0];
+}
+
+beforeEach(async () => {
+  resetDatabase();
+  users['owner-token'] = { id: 'user_1' };
+  db.gpt_versions = [];
+  db.user_gpts = [{ id: 'gpt_1', user_id: 'user_1', workspace_id: null }];
+
+  const res = await callVersions({ action: 'save', gptData: published, publish: true });
+  assert.equal(res.statusCode, 200);
+});
+
+test('publishing writes the marketplace columns', () => {
+  assert.equal(gptRow().listed, true);
+  assert.equal(gptRow().name, 'Tax Helper');
+  assert.equal(gptRow().monthly_price, 9.99);
+  assert.deepEqual(gptRow().pricing.prices, { usd: { month: 999 } });
+});
+
+test('saving a draft leaves the listing alone', async () => {
+  const draft = {
+    ...published,
+    name: 'Tax Helper (new)',
+    pricing: { ...published.pricing, prices: { usd: { month: 1999 } } }
+  };
+
+  const res = await callVersions({ action: 'save', gptData: draft });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(gptRow().gpt_data.name, 'Tax Helper (new)');
+  assert.equal(gptRow().name, 'Tax Helper');
+  assert.equal(gptRow().monthly_price, 9.99);
+  assert.deepEqual(gptRow().pricing.prices, { usd: { month: 999 } });
+});
+
+test('publishing a saved draft lists what was published', async () => {
+  const { body } = await callVersions({ action: 'save', gptData: { ...published, name: 'Tax Helper 2', forSale: false } });
+
+  const res = await callVersions({ action: 'publish', version: body.version });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(gptRow().name, 'Tax Helper 2');
+  assert.equal(gptRow().listed, false);
+});
+
+test('rolling back lists the restored version', async () => {
+  await callVersions({ action: 'save', gptData: { ...published, name: 'Tax Helper 2' }, publish: true });
+
+  const res = await callVersions({ action: 'rollback', version: 1 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(gptRow().name, 'Tax Helper');
+  assert.equal(gptRow().published_version, 3);
+});
+
+test('a GPT saved before versions were kept is listed by publishing it', async () => {
+  db.user_gpts = [{ id: 'gpt_1', user_id: 'user_1', workspace_id: null, gpt_data: { ...published, pricing: undefined, monthlyPrice: 5 } }];
+  db.gpt_versions = [];
+
+  const res = await callVersions({ action: 'publish' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(gptRow().published_version, 1);
+  assert.equal(gptRow().listed, true);
+  assert.deepEqual(gptRow().pricing.prices, { usd: { month: 500 } });
+});
+
+test('the listing only takes pricing that lib/pricing.js accepts', async () => {
+  const unchecked = { ...published, pricing: { currency: 'usd', prices: { usd: { month: 1 } }, trialDays: 0, coupons: [] } };
+  db.user_gpts = [{ id: 'gpt_1', user_id: 'user_1', workspace_id: null, gpt_data: unchecked }];
+  db.gpt_versions = [];
+
+  await callVersions({ action: 'publish' });
+
+  assert.equal(gptRow().listed, false);
+  assert.equal(gptRow().pricing, null);
+  assert.equal(gptRow().monthly_price, 0);
+});
@@ -0,0 +1,259 @@
+// widget.js - Chat bubble that puts a shared GPT on any website
+//
+//   <script src="https://eringptbuilder.com/widget.js" data-share="<token>" async></script>
+//
+// The site has to be one of the share link's allowed sites. These optional
+// attributes override the theme set on the share: data-color, data-position
+// (right or left), data-title and data-greeting. Without a greeting the GPT's
+// welcome message is shown, and its conversation starters until the first
+// message. data-mode="page" fills the page instead of showing a bubble;
+// share.html uses it for share links.
+(function () {
+  const script = document.currentScript || document.querySelector('script[data-share]');
+  if (!script || !script.dataset.share) return;
+
+  const token = script.dataset.share;
+  const apiBase = new URL(script.src, location.href).origin;
+  const pageMode = script.dataset.mode === 'page';
+  const MAX_HISTORY = 20;
+
+  const messages = [];
+  let password = null;
+  let theme = null;
+  let busy = false;
+
+  const host = document.createElement('div');
+  const root = host.attachShadow({ mode: 'open' });
+  (pageMode ? document.getElementById(script.dataset.target) || document.body : document.body).appendChild(host);
+
+  function themeStyles() {
+    const side = theme.position === 'left' ? 'left' : 'right';
+    return `
+      :host { all: initial; }
+      * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+      .bubble { position: fixed; bottom: 20px; ${side}: 20px; width: 56px; height: 56px; border-radius: 50%;
+        border: none; background: ${theme.color}; color: white; font-size: 24px; cursor: pointer;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.2); z-index: 2147483646; }
+      .panel { display: flex; flex-direction: column; background: white; overflow: hidden; }
+      .panel.floating { position: fixed; bottom: 90px; ${side}: 20px; width: 360px; max-width: calc(100vw - 40px);
+        height: 520px; max-height: calc(100vh - 120px); border-radius: 12px;
+        box-shadow: 0 8px 30px rgba(0,0,0,0.2); z-index: 2147483647; }
+      .panel.page { position: fixed; inset: 0; }
+      .panel.hidden { display: none; }
+      .header { background: ${theme.color}; color: white; padding: 14px 16px; font-weight: 600;
+        display: flex; justify-content: space-between; align-items: center; }
+      .header button { background: none; border: none; color: white; font-size: 18px; cursor: pointer; }
+      .messages { flex: 1; overflow-y: auto; padding: 16px; background: #f8f9fa; }
+      .message { max-width: 85%; padding: 10px 12px; border-radius: 10px; margin-bottom: 10px;
+        white-space: pre-wrap; word-break: break-word; font-size: 14px; line-height: 1.4; }
+      .message.user { margin-left: auto; background: ${theme.color}; color: white; }
+      .message.assistant { background: white; color: #333; border: 1px solid #e9ecef; }
+      .message.error { background: #fdecea; color: #721c24; }
+      .starters { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+      .starters button { padding: 6px 10px; border: 1px solid ${theme.color}; border-radius: 14px;
+        background: white; color: ${theme.color}; cursor: pointer; font-size: 13px; text-align: left; }
+      form { display: flex; gap: 8px; padding: 12px; border-top: 1px solid #e9ecef; }
+      input { flex: 1; padding: 10px; border: 1px solid #ddd; border-radius: 8px; font-size: 14px; }
+      form button { padding: 10px 14px; border: none; border-radius: 8px; background: ${theme.color};
+        color: white; cursor: pointer; font-size: 14px; }
+      form button:disabled { opacity: 0.6; cursor: default; }
+    `;
+  }
+
+  function render() {
+    root.innerHTML = `
+      <style>${themeStyles()}</style>
+      ${pageMode ? '' : '<button class="bubble" part="bubble" aria-label="Open chat">💬</button>'}
+      <div class="panel ${pageMode ? 'page' : 'floating hidden'}">
+        <div class="header"><span class="title"></span>${pageMode ? '' : '<button class="close" aria-label="Close chat">×</button>'}</div>
+        <div class="messages"></div>
+        <form class="password" hidden>
+          <input type="password" placeholder="Password" autocomplete="current-password">
+          <button type="submit">Unlock</button>
+        </form>
+        <form class="compose">
+          <input type="text" placeholder="Type your message..." maxlength="4000">
+          <button type="submit">Send</button>
+        </form>
+      </div>
+    `;
+
+    root.querySelector('.title').textContent = theme.title || theme.name;
+
+    if (!pageMode) {
+      const panel = root.querySelector('.panel');
+      root.querySelector('.bubble').addEventListener('click', () => panel.classList.toggle('hidden'));
+      root.querySelector('.close').addEventListener('click', () => panel.classList.add('hidden'));
+    }
+
+    root.querySelector('.compose').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const input = event.target.querySelector('input');
+      const text = input.value.trim();
+      if (!text || busy) return;
+      input.value = '';
+      send(text);
+    });
+
+    root.querySelector('.password').addEventListener('submit', (event) => {
+      event.preventDefault();
+      password = event.target.querySelector('input').value;
+      showPasswordForm(false);
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'user') send(null);
+    });
+
+    if (theme.greeting) addMessage('assistant', theme.greeting);
+    if (theme.starters.length > 0) showStarters();
+    if (theme.requiresPassword) showPasswordForm(true);
+  }
+
+  function showStarters() {
+    const div = document.createElement('div');
+    div.className = 'starters';
+    theme.starters.forEach(starter => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = starter;
+      button.addEventListener('click', () => {
+        if (!busy) send(starter);
+      });
+      div.appendChild(button);
+    });
+    root.querySelector('.messages').appendChild(div);
+  }
+
+  function showPasswordForm(show) {
+    root.querySelector('.password').hidden = !show;
+    root.querySelector('.compose').hidden = show;
+  }
+
+  function addMessage(role, text) {
+    const div = document.createElement('div');
+    div.className = `message ${role}`;
+    div.textContent = text;
+    const list = root.querySelector('.messages');
+    list.appendChild(div);
+    list.scrollTop = list.scrollHeight;
+    return div;
+  }
+
+  function setBusy(value) {
+    busy = value;
+    root.querySelector('.compose button').disabled = value;
+  }
+
+  // Sends the conversation; `text` is null when retrying after unlocking
+  async function send(text) {
+    if (text !== null) {
+      root.querySelector('.starters')?.remove();
+      messages.push({ role: 'user', content: text });
+      addMessage('user', text);
+    }
+
+    setBusy(true);
+    const reply = addMessage('assistant', '…');
+    let content = '';
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (password) headers['X-Share-Password'] = password;
+
+      const response = await fetch(`${apiBase}/api/chat?share=${encodeURIComponent(token)}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ messages: messages.slice(-MAX_HISTORY), stream: true })
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.passwordRequired) {
+          reply.remove();
+          if (password) addMessage('error', 'Wrong password, please try again.');
+          password = null;
+          showPasswordForm(true);
+          return;
+        }
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+
+      await readStream(response.body, (event, data) => {
+        if (event === 'delta') {
+          content += data.content;
+          reply.textContent = content;
+          root.querySelector('.messages').scrollTop = root.querySelector('.messages').scrollHeight;
+        } else if (event === 'done') {
+          content = data.message || content;
+          reply.textContent = content;
+        } else if (event === 'error') {
+          throw new Error(data.details || data.error);
+        }
+      });
+
+      messages.push({ role: 'assistant', content });
+    } catch (error) {
+      reply.className = 'message error';
+      reply.textContent = error.message || 'Something went wrong';
+      // Drop the unanswered question so the next one starts cleanly
+      if (messages[messages.length - 1]?.role === 'user') messages.pop();
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function readStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+
+  fetch(`${apiBase}/api/shares?token=${encodeURIComponent(token)}`)
+    .then(response => response.json().then(data => ({ ok: response.ok, data })))
+    .then(({ ok, data }) => {
+      if (!ok) throw new Error(data.error || 'This GPT is not available');
+
+      const attributes = script.dataset;
+      theme = {
+        ...data.theme,
+        name: data.name,
+        requiresPassword: data.requiresPassword,
+        color: /^#[0-9a-f]{6}$/i.test(attributes.color || '') ? attributes.color : data.theme.color,
+        position: attributes.position || data.theme.position,
+        title: attributes.title || data.theme.title,
+        greeting: attributes.greeting || data.theme.greeting || data.welcomeMessage,
+        starters: Array.isArray(data.conversationStarters) ? data.conversationStarters : []
+      };
+      render();
+    })
+    .catch(error => {
+      console.error('GPT widget:', error.message);
+      if (pageMode) {
+        root.innerHTML = '';
+        const notice = document.createElement('p');
+        notice.textContent = error.message;
+        notice.style.cssText = 'text-align: center; color: #666; padding: 40px; font-family: sans-serif;';
+        root.appendChild(notice);
+      }
+    });
+})();